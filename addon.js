@@ -6,6 +6,16 @@ const { addonBuilder } = require("stremio-addon-sdk");
 const crypto = require("crypto");
 const LRUCache = require("./lruCache");
 const fetch = require('node-fetch');
+const { openBody } = require('./decompress');
+const { createEPGMatcher } = require('./epgMatcher');
+const { createSearchIndex } = require('./searchIndex');
+const { diffItems } = require('./catalogDiff');
+const { createIdAllocator, md5, playlistItemId, xtreamStreamId } = require('./itemIds');
+const { createImdbMatcher } = require('./imdbMatcher');
+const { catchupUrl, catchupVideoId, isAvailable, m3uCatchup, m3uCatchupAttributes, parseCatchupVideoId } = require('./catchup');
+const { dayNumber, isValidLocale, isValidTimeZone } = require('./timeZone');
+const { m3uLines, xmltvLines } = require('./exporter');
+const { StringDecoder } = require('string_decoder');
 
 let redisClient = null;
 if (process.env.REDIS_URL) {
@@ -31,6 +41,7 @@ const DEBUG_ENV = (process.env.DEBUG_MODE || '').toLowerCase() === 'true';
 function makeLogger(cfgDebug) {
     const enabled = !!cfgDebug || DEBUG_ENV;
     return {
+        enabled,
         debug: (...a) => { if (enabled) console.log('[DEBUG]', ...a); },
         info:  (...a) => console.log('[INFO]', ...a),
         warn:  (...a) => console.warn('[WARN]', ...a),
@@ -42,6 +53,63 @@ const CACHE_ENABLED = (process.env.CACHE_ENABLED || 'true').toLowerCase() !== 'f
 const CACHE_TTL_MS = parseInt(process.env.CACHE_TTL_MS || (6 * 3600 * 1000).toString(), 10);
 const MAX_CACHE_ENTRIES = parseInt(process.env.MAX_CACHE_ENTRIES || '300', 10);
 
+// v2: EPG programmes carry epoch-ms start/stop instead of raw XMLTV strings
+const DATA_CACHE_PREFIX = 'addon:data:v2:';
+// Xtream get_series_info / get_vod_info results, fetched lazily per title and saved separately from the data blob
+// (series v2: series-level details, episode overviews / runtimes)
+const SERIES_CACHE_PREFIX = 'addon:series:v2:';
+const VOD_CACHE_PREFIX = 'addon:vod:v1:';
+// Empty results (failed lookups) are left out so they are retried after a restart
+// get_vod_info details per instance: bounded and refetched after a week; failures are only
+// remembered for a few minutes so a panel hiccup does not hide the details
+const VOD_INFO_MAX = 5000;
+const VOD_INFO_TTL_MS = 7 * 24 * 3600 * 1000;
+const VOD_INFO_RETRY_MS = 10 * 60 * 1000;
+const DETAIL_CACHES = {
+    series: { prefix: SERIES_CACHE_PREFIX, map: 'seriesInfoCache', keep: info => info?.videos?.length },
+    // Restored entries expire ttl after they were fetched, not after the restart
+    vod: { prefix: VOD_CACHE_PREFIX, map: 'vodInfoCache', keep: info => info?.fetchedAt, ttl: VOD_INFO_TTL_MS }
+};
+
+// EPG retention window (hours back / ahead of "now"); per-config epgPastHours / epgFutureHours override.
+// Catch-up channels widen the past window to their archive length, up to EPG_MAX_PAST_HOURS.
+const EPG_PAST_HOURS = parseFloat(process.env.EPG_PAST_HOURS || '6');
+const EPG_MAX_PAST_HOURS = 24 * 7;
+const EPG_FUTURE_HOURS = parseFloat(process.env.EPG_FUTURE_HOURS || '72');
+
+// Background refresh: playlists (VOD lists are large and change slowly) and guides on separate
+// intervals. Instances with no request for REFRESH_IDLE_MS are skipped until they are used again.
+const PLAYLIST_REFRESH_MS = parseInt(process.env.PLAYLIST_REFRESH_MS || (6 * 3600 * 1000).toString(), 10);
+const EPG_REFRESH_MS = parseInt(process.env.EPG_REFRESH_MS || (3600 * 1000).toString(), 10);
+const REFRESH_IDLE_MS = parseInt(process.env.REFRESH_IDLE_MS || (24 * 3600 * 1000).toString(), 10);
+const SCHEDULER_TICK_MS = 60000;
+// After a failed refresh the next attempt waits 1, 2, 4… minutes (capped at the refresh interval)
+const REFRESH_RETRY_MS = 60000;
+
+// "Recently Added" catalogs list movies / series first seen within this many days
+const RECENTLY_ADDED_DAYS = parseFloat(process.env.RECENTLY_ADDED_DAYS || '7');
+
+// Alias table cap (at least one alias per current item is always allowed)
+const MAX_ID_ALIASES = 20000;
+
+// "Now Playing" catalog: live channels by the programme on air, genre filter from XMLTV <category>
+const NOW_PLAYING_CATALOG = 'iptv_now_playing';
+const NOW_PLAYING_GENRES = 50; // most common guide categories offered as filter options
+// Guide search (per-config epgSearch): on-air matches join the channel search, future airings
+// are listed by the search-only "Upcoming" catalog
+const UPCOMING_CATALOG = 'iptv_epg_upcoming';
+
+// Catalog page size; Stremio clients request the next page with skip=<items received so far>
+// and stop once a page comes back short. Per-config catalogPageSize overrides.
+const CATALOG_PAGE_SIZE = parseInt(process.env.CATALOG_PAGE_SIZE || '100', 10);
+
+// IMDb matching: movies / series get tt ids (catalog ids, stream requests for tt ids).
+// Opt-in per config (imdbMatching); IMDB_MATCHING=false turns it off server-wide.
+// IMDB_LOOKUP_BATCH caps online lookups per playlist refresh (0 = mapping file only).
+const IMDB_MATCHING = (process.env.IMDB_MATCHING || 'true').toLowerCase() !== 'false';
+const IMDB_LOOKUP_BATCH = parseInt(process.env.IMDB_LOOKUP_BATCH || '1000', 10);
+const IMDB_MAP_FILE = process.env.IMDB_MAP_FILE || '';
+
 const dataCache = new LRUCache({ max: MAX_CACHE_ENTRIES, ttl: CACHE_TTL_MS });
 const buildPromiseCache = new Map();
 
@@ -60,6 +128,102 @@ async function redisSetJSON(key, value, ttl) {
     } catch { /* ignore */ }
 }
 
+// One timer checks every scheduled instance in turn, so refreshes never run side by side.
+// Keyed by cacheKey: a rebuilt instance replaces the old one. Instances idle for REFRESH_IDLE_MS
+// are dropped (with their build promise) so their data can be collected; a later request to a
+// still-cached interface schedules it again (touch).
+const scheduledInstances = new Map(); // cacheKey -> M3UEPGAddon
+let schedulerTimer = null;
+let schedulerBusy = false;
+
+function scheduleRefresh(instance) {
+    scheduledInstances.set(instance.cacheKey, instance);
+    if (schedulerTimer) return;
+    schedulerTimer = setInterval(async () => {
+        if (schedulerBusy) return;
+        schedulerBusy = true;
+        try {
+            for (const [key, inst] of scheduledInstances) {
+                if (Date.now() - inst.lastAccess > REFRESH_IDLE_MS) {
+                    scheduledInstances.delete(key);
+                    buildPromiseCache.delete(key);
+                    continue;
+                }
+                await inst.refreshIfStale().catch(() => { });
+            }
+        } finally {
+            schedulerBusy = false;
+        }
+    }, SCHEDULER_TICK_MS);
+    if (schedulerTimer.unref) schedulerTimer.unref();
+}
+
+function toHours(value, fallback, max) {
+    const n = typeof value === 'string' ? parseFloat(value) : value;
+    if (typeof n !== 'number' || !isFinite(n) || n < 0) return fallback;
+    return Math.min(n, max);
+}
+
+// "All" catalogs per type; these advertise a genre extra built from the category list
+const ALL_CATALOGS = {
+    iptv_channels_all: 'tv',
+    iptv_movies_all: 'movie',
+    iptv_series_all: 'series'
+};
+
+function toPageSize(value, fallback) {
+    const n = typeof value === 'string' ? parseInt(value, 10) : value;
+    if (!Number.isInteger(n) || n < 1) return fallback;
+    return Math.min(n, 1000);
+}
+
+// Ordered (highest priority first), de-duplicated EPG source list from epgUrls (array or
+// newline/comma separated string) plus the legacy single epgUrl.
+function normalizeEpgUrls(config) {
+    const list = [];
+    if (typeof config.epgUrl === 'string') list.push(config.epgUrl);
+    if (Array.isArray(config.epgUrls)) list.push(...config.epgUrls);
+    else if (typeof config.epgUrls === 'string') list.push(...config.epgUrls.split(/[\n,]/));
+    const seen = new Set();
+    return list
+        .filter(u => typeof u === 'string')
+        .map(u => u.trim())
+        .filter(u => /^https?:\/\//i.test(u) && !seen.has(u) && seen.add(u));
+}
+
+// Manual playlist -> guide overrides: { "<channel name or tvg-id>": "<xmltv channel id>" }.
+// Keys are matched case-insensitively.
+function normalizeEpgMap(epgMap) {
+    const map = new Map();
+    if (!epgMap || typeof epgMap !== 'object') return map;
+    for (const [from, to] of Object.entries(epgMap)) {
+        if (typeof to !== 'string' || !to.trim() || !from.trim()) continue;
+        map.set(from.trim().toLowerCase(), to.trim());
+    }
+    return map;
+}
+
+// Guide match found through a manual override (epgMatcher method "manual~<guide kind>")
+function isManualMatch(match) {
+    return !!match && match.method.startsWith('manual~');
+}
+
+// Content type toggles (all default on). Older Xtream configs sent { content: { live, movies, series } }.
+function contentFlags(config) {
+    const legacy = config.content || {};
+    const pick = (flag, fallback) => (typeof flag === 'undefined' ? fallback : flag) !== false;
+    const flags = {
+        includeLive: pick(config.includeLive, legacy.live),
+        includeMovies: pick(config.includeMovies, legacy.movies),
+        includeSeries: pick(config.includeSeries, legacy.series)
+    };
+    // An addon with nothing enabled is not installable; treat it as the default
+    if (!flags.includeLive && !flags.includeMovies && !flags.includeSeries) {
+        return { includeLive: true, includeMovies: true, includeSeries: true };
+    }
+    return flags;
+}
+
 function stableStringify(obj) {
     return JSON.stringify(obj, Object.keys(obj).sort());
 }
@@ -69,13 +233,22 @@ function createCacheKey(config) {
         provider: config.provider,
         m3uUrl: config.m3uUrl,
         epgUrl: config.epgUrl,
+        epgUrls: normalizeEpgUrls(config),
+        epgMap: [...normalizeEpgMap(config.epgMap)].sort(),
         enableEpg: !!config.enableEpg,
         xtreamUrl: config.xtreamUrl,
         xtreamUsername: config.xtreamUsername,
         xtreamUseM3U: !!config.xtreamUseM3U,
         xtreamOutput: config.xtreamOutput,
         epgOffsetHours: config.epgOffsetHours,
-        includeSeries: config.includeSeries !== false // default true
+        epgPastHours: config.epgPastHours,
+        epgFutureHours: config.epgFutureHours,
+        // Unset values drop out of the JSON, so configs without them keep their old keys
+        timezone: config.timezone || undefined,
+        locale: config.locale || undefined,
+        epgSearch: config.epgSearch ? true : undefined,
+        imdbMatching: config.imdbMatching ? true : undefined,
+        ...contentFlags(config)
     };
     return crypto.createHash('md5').update(stableStringify(minimal)).digest('hex');
 }
@@ -89,17 +262,37 @@ class M3UEPGAddon {
         this.config = config;
         this.manifestRef = manifestRef;
         this.cacheKey = createCacheKey(config);
-        this.updateInterval = 3600000;
         this.channels = []; // live TV
         this.movies = [];   // VOD movies
         this.series = [];   // Series (shows)
         this.seriesInfoCache = new Map(); // seriesId -> { videos: [...], fetchedAt }
+        this.vodInfoCache = new LRUCache({ max: VOD_INFO_MAX, ttl: VOD_INFO_TTL_MS }); // Xtream vod stream id -> get_vod_info details
+        this.vodInfoFailures = new LRUCache({ max: 1000, ttl: VOD_INFO_RETRY_MS }); // stream ids whose last fetch failed
         this.epgData = {};
-        this.lastUpdate = 0;
+        this.epgChannels = {};   // xmltv id -> { id, names, icon } for matched guide channels
+        this.epgChannelMap = {}; // playlist channel id -> { xmltvId, method, source }
+        this.searchIndex = createSearchIndex([]);
+        this.programmeIndex = null; // guide search index (epgSearch); ids are programmeRefs positions
+        this.programmeRefs = [];    // [{ epgId, programme }]
+        this.catalogResults = new LRUCache({ max: 50, ttl: 30 * 60 * 1000 }); // filtered lists per data snapshot
+        this.lastUpdate = 0;    // last successful playlist refresh
+        this.lastEpgUpdate = 0; // last successful guide refresh
+        this.lastAccess = Date.now();
+        this.lastPlaylistAttempt = 0; // last failed refresh (backoff, see isStale)
+        this.lastEpgAttempt = 0;
+        this.refreshFailures = { playlist: 0, epg: 0 }; // consecutive failures
+        this.refreshing = { playlist: null, epg: null, imdb: null }; // in-flight refreshes (coalesced)
         this.log = makeLogger(config.debug);
 
         // Direct provider may populate this (seriesId -> episodes array)
         this.directSeriesEpisodeIndex = new Map();
+        this.detailSaveTimers = {}; // series / vod -> pending debounced cache write
+        this.idAliases = new Map(); // retired item id -> current id (old library entries keep working)
+        // Pre-alias-table ids (legacyId) are only recorded on the first refresh of data that has no
+        // alias table yet; recomputing them every refresh would add one alias per rotated URL token
+        this.migrateLegacyIds = true;
+        this.imdbMatcher = IMDB_MATCHING && config.imdbMatching ? createImdbMatcher({ mapFile: IMDB_MAP_FILE }) : null;
+        this.imdbMatches = new Map(); // item id -> tt id from online lookups ('' = looked up, no match)
 
         if (typeof this.config.epgOffsetHours === 'string') {
             const n = parseFloat(this.config.epgOffsetHours);
@@ -109,20 +302,32 @@ class M3UEPGAddon {
             this.config.epgOffsetHours = 0;
         if (Math.abs(this.config.epgOffsetHours) > 48)
             this.config.epgOffsetHours = 0;
-        if (typeof this.config.includeSeries === 'undefined')
-            this.config.includeSeries = true;
+        Object.assign(this.config, contentFlags(this.config));
+        this.config.epgPastHours = toHours(this.config.epgPastHours, EPG_PAST_HOURS, EPG_MAX_PAST_HOURS);
+        this.config.epgFutureHours = toHours(this.config.epgFutureHours, EPG_FUTURE_HOURS, 24 * 14);
+        this.config.catalogPageSize = toPageSize(this.config.catalogPageSize, toPageSize(CATALOG_PAGE_SIZE, 100));
+        this.config.epgUrls = normalizeEpgUrls(this.config);
+        // IANA zone and locale for displayed programme times (server defaults when unset)
+        if (!isValidTimeZone(this.config.timezone)) delete this.config.timezone;
+        if (!isValidLocale(this.config.locale)) delete this.config.locale;
+        this.config.epgSearch = !!this.config.epgSearch;
+        this.epgOverrides = normalizeEpgMap(this.config.epgMap);
 
         this.log.debug('Addon instance created', {
             provider: this.providerName,
             cacheKey: this.cacheKey,
             epgOffsetHours: this.config.epgOffsetHours,
+            epgWindowHours: [this.config.epgPastHours, this.config.epgFutureHours],
+            includeLive: this.config.includeLive,
+            includeMovies: this.config.includeMovies,
             includeSeries: this.config.includeSeries
         });
     }
 
     async loadFromCache() {
         if (!CACHE_ENABLED) return;
-        const cacheKey = 'addon:data:' + this.cacheKey;
+        await this.loadDetailCaches();
+        const cacheKey = DATA_CACHE_PREFIX + this.cacheKey;
         let cached = dataCache.get(cacheKey);
         if (!cached && redisClient) {
             cached = await redisGetJSON(cacheKey);
@@ -133,12 +338,21 @@ class M3UEPGAddon {
             this.movies = cached.movies || [];
             this.series = cached.series || [];
             this.epgData = cached.epgData || {};
+            this.epgChannels = cached.epgChannels || {};
+            this.epgChannelMap = cached.epgChannelMap || {};
             this.lastUpdate = cached.lastUpdate || 0;
-            // Direct series episodes index is not persisted; rebuild on next fetch
+            this.lastEpgUpdate = cached.lastEpgUpdate || 0;
+            this.directSeriesEpisodeIndex = new Map(cached.directSeriesEpisodeIndex || []);
+            this.idAliases = new Map(cached.idAliases || []);
+            this.migrateLegacyIds = !cached.idAliases;
+            this.imdbMatches = new Map(cached.imdbMatches || []);
+            this.buildSearchIndex();
+            this.buildProgrammeIndex();
             this.log.debug('Cache hit for data', {
                 channels: this.channels.length,
                 movies: this.movies.length,
                 series: this.series.length,
+                directSeriesEpisodes: this.directSeriesEpisodeIndex.size,
                 lastUpdate: new Date(this.lastUpdate).toISOString()
             });
         }
@@ -146,147 +360,258 @@ class M3UEPGAddon {
 
     async saveToCache() {
         if (!CACHE_ENABLED) return;
-        const cacheKey = 'addon:data:' + this.cacheKey;
+        const cacheKey = DATA_CACHE_PREFIX + this.cacheKey;
         const entry = {
             channels: this.channels,
             movies: this.movies,
             series: this.series,
             epgData: this.epgData,
-            lastUpdate: this.lastUpdate
+            epgChannels: this.epgChannels,
+            epgChannelMap: this.epgChannelMap,
+            // Map -> [[seriesId, episodes], ...] so it survives JSON (Redis)
+            directSeriesEpisodeIndex: Array.from(this.directSeriesEpisodeIndex.entries()),
+            idAliases: Array.from(this.idAliases.entries()),
+            imdbMatches: Array.from(this.imdbMatches.entries()),
+            lastUpdate: this.lastUpdate,
+            lastEpgUpdate: this.lastEpgUpdate
         };
         dataCache.set(cacheKey, entry);
         await redisSetJSON(cacheKey, entry, CACHE_TTL_MS);
         this.log.debug('Saved data to cache');
     }
 
-   parseM3U(content) {
-    const startTs = Date.now();
-    const lines = content.split('\n');
-    const items = [];
-    const channelGroups = new Map(); // normalized tvg-id -> channel
-    let currentItem = null;
-
-    const normalize = (v) =>
-        typeof v === 'string' ? v.trim().toLowerCase() : '';
-
-    for (const raw of lines) {
-        const line = raw.trim();
-
-        if (line.startsWith('#EXTINF:')) {
-            const matches = line.match(/#EXTINF:(-?\d+)(?:\s+(.*))?,(.*)/);
-            if (matches) {
-                currentItem = {
-                    duration: parseInt(matches[1], 10),
-                    attributes: this.parseAttributes(matches[2] || ''),
-                    name: (matches[3] || '').trim()
-                };
+    async loadDetailCaches() {
+        if (this.providerName !== 'xtream') return;
+        for (const [kind, { prefix, map, ttl }] of Object.entries(DETAIL_CACHES)) {
+            const cacheKey = prefix + this.cacheKey;
+            let entries = dataCache.get(cacheKey);
+            if (!entries && redisClient) {
+                entries = await redisGetJSON(cacheKey);
+                if (entries) dataCache.set(cacheKey, entries);
+            }
+            if (!Array.isArray(entries)) continue;
+            if (ttl) {
+                const now = Date.now();
+                this[map].load(entries
+                    .filter(([, info]) => info?.fetchedAt + ttl > now)
+                    .map(([key, info]) => [key, info, info.fetchedAt + ttl]));
+            } else {
+                for (const [key, info] of entries) {
+                    if (!this[map].has(key)) this[map].set(key, info);
+                }
             }
-            continue;
+            this.log.debug(`Cache hit for ${kind} info`, { entries: entries.length });
         }
+    }
 
-        if (!line || line.startsWith('#') || !currentItem) continue;
-
-        currentItem.url = line;
-        currentItem.logo = currentItem.attributes['tvg-logo'];
-
-        const rawTvgId =
-            currentItem.attributes['tvg-id'] ||
-            currentItem.attributes['tvg-name'] ||
-            '';
+    async saveDetailCache(kind) {
+        const { prefix, map, keep } = DETAIL_CACHES[kind];
+        const cacheKey = prefix + this.cacheKey;
+        const entries = Array.from(this[map].entries()).filter(([, info]) => keep(info));
+        dataCache.set(cacheKey, entries);
+        await redisSetJSON(cacheKey, entries, CACHE_TTL_MS);
+        this.log.debug(`Saved ${kind} info to cache`, { entries: entries.length });
+    }
 
-        const normalizedTvgId = normalize(rawTvgId);
-        const groupTitleRaw = currentItem.attributes['group-title'] || '';
-        const groupTitleNorm = normalize(groupTitleRaw);
+    // Details arrive one title at a time; batch the writes
+    scheduleDetailSave(kind) {
+        if (!CACHE_ENABLED || this.providerName !== 'xtream' || this.detailSaveTimers[kind]) return;
+        const timer = setTimeout(() => {
+            delete this.detailSaveTimers[kind];
+            this.saveDetailCache(kind).catch(e => this.log.warn(`${kind} info cache save failed`, e.message));
+        }, 10000);
+        if (timer.unref) timer.unref();
+        this.detailSaveTimers[kind] = timer;
+    }
 
-        currentItem.epg_channel_id = normalizedTvgId;
-        currentItem.category = groupTitleRaw;
+    // Incremental M3U line parser shared by parseM3U (buffered text) and parseM3UStream (HTTP body).
+    // Movies / series / untagged channels are emitted as soon as their URL line is read.
+    // tvg-id channels collect their quality variants until end() and are emitted after all other
+    // items, as the buffered parser always did.
+    createM3UParser(onItem) {
+        const channelGroups = new Map(); // normalized tvg-id -> channel
+        const allocateId = createIdAllocator();
+        const stats = { lines: 0, items: 0, channels: 0 };
+        let currentItem = null;
+        let headerAttributes = {}; // #EXTM3U attributes (playlist-wide catch-up defaults)
+
+        const normalize = (v) =>
+            typeof v === 'string' ? v.trim().toLowerCase() : '';
+        const emit = (item) => {
+            stats.items++;
+            onItem(item);
+        };
 
-        const nameLower = currentItem.name.toLowerCase();
+        const push = (raw) => {
+            stats.lines++;
+            const line = raw.trim();
 
-        const isMovie =
-            groupTitleNorm.includes('movie') ||
-            this.isMovieFormat(currentItem.name);
+            if (line.startsWith('#EXTM3U')) {
+                headerAttributes = this.parseAttributes(line);
+                return;
+            }
 
-        const isSeries =
-            !isMovie &&
-            (
-                groupTitleNorm.includes('series') ||
-                /\bS\d{1,2}E\d{1,2}\b/i.test(currentItem.name) ||
-                /\bSeason\s?\d+/i.test(currentItem.name)
-            );
+            if (line.startsWith('#EXTINF:')) {
+                const matches = line.match(/#EXTINF:(-?\d+)(?:\s+(.*))?,(.*)/);
+                if (matches) {
+                    currentItem = {
+                        duration: parseInt(matches[1], 10),
+                        attributes: this.parseAttributes(matches[2] || ''),
+                        name: (matches[3] || '').trim()
+                    };
+                }
+                return;
+            }
 
-        currentItem.type = isSeries ? 'series' : (isMovie ? 'movie' : 'tv');
+            if (!line || line.startsWith('#') || !currentItem) return;
+
+            currentItem.url = line;
+            currentItem.logo = currentItem.attributes['tvg-logo'];
+
+            const rawTvgId =
+                currentItem.attributes['tvg-id'] ||
+                currentItem.attributes['tvg-name'] ||
+                '';
+
+            const normalizedTvgId = normalize(rawTvgId);
+            const groupTitleRaw = currentItem.attributes['group-title'] || '';
+            const groupTitleNorm = normalize(groupTitleRaw);
+
+            currentItem.epg_channel_id = normalizedTvgId;
+            currentItem.category = groupTitleRaw;
+
+            const isMovie =
+                groupTitleNorm.includes('movie') ||
+                this.isMovieFormat(currentItem.name);
+
+            const isSeries =
+                !isMovie &&
+                (
+                    groupTitleNorm.includes('series') ||
+                    /\bS\d{1,2}E\d{1,2}\b/i.test(currentItem.name) ||
+                    /\bSeason\s?\d+/i.test(currentItem.name)
+                );
+
+            currentItem.type = isSeries ? 'series' : (isMovie ? 'movie' : 'tv');
+
+            /* ===========================
+               TV CHANNEL MERGE (FIXED)
+               =========================== */
+            if (currentItem.type === 'tv' && normalizedTvgId) {
+                const qualityMatch = currentItem.name.match(/\b(4K|UHD|FHD|HD|SD)\b/i);
+                let quality = qualityMatch ? qualityMatch[1].toUpperCase() : 'SD';
+                if (quality === 'UHD') quality = '4K';
+
+                const baseName = currentItem.name
+                    .replace(/\b(4K|UHD|FHD|HD|SD)\b/gi, '')
+                    .replace(/\s{2,}/g, ' ')
+                    .trim();
+
+                const key = normalizedTvgId;
+
+                if (!channelGroups.has(key)) {
+                    channelGroups.set(key, {
+                        id: `iptv_${crypto.createHash('md5').update(key).digest('hex').slice(0, 16)}`,
+                        name: baseName,
+                        type: 'tv',
+                        logo: currentItem.logo,
+                        category: groupTitleRaw,
+                        epg_channel_id: normalizedTvgId,
+                        attributes: {
+                            ...currentItem.attributes,
+                            'tvg-id': normalizedTvgId,
+                            'group-title': groupTitleRaw
+                        },
+                        streams: []
+                    });
+                    stats.channels++;
+                }
 
-        /* ===========================
-           TV CHANNEL MERGE (FIXED)
-           =========================== */
-        if (currentItem.type === 'tv' && normalizedTvgId) {
-            const qualityMatch = currentItem.name.match(/\b(4K|UHD|FHD|HD|SD)\b/i);
-            let quality = qualityMatch ? qualityMatch[1].toUpperCase() : 'SD';
-            if (quality === 'UHD') quality = '4K';
+                const channel = channelGroups.get(key);
 
-            const baseName = currentItem.name
-                .replace(/\b(4K|UHD|FHD|HD|SD)\b/gi, '')
-                .replace(/\s{2,}/g, ' ')
-                .trim();
+                channel.streams.push({
+                    quality,
+                    url: currentItem.url,
+                    title: `${baseName} [${quality}]`,
+                    catchup: m3uCatchup(currentItem.attributes, currentItem.url, headerAttributes)
+                });
 
-            const key = normalizedTvgId;
+                const order = { '4K': 4, 'FHD': 3, 'HD': 2, 'SD': 1 };
+                channel.streams.sort((a, b) => (order[b.quality] || 0) - (order[a.quality] || 0));
 
-            if (!channelGroups.has(key)) {
-                channelGroups.set(key, {
-                    id: `iptv_${crypto.createHash('md5').update(key).digest('hex').slice(0, 16)}`,
-                    name: baseName,
-                    type: 'tv',
-                    logo: currentItem.logo,
-                    category: groupTitleRaw,
-                    epg_channel_id: normalizedTvgId,
-                    attributes: {
-                        ...currentItem.attributes,
-                        'tvg-id': normalizedTvgId,
-                        'group-title': groupTitleRaw
-                    },
-                    streams: []
-                });
+                channel.url = channel.streams[0].url;
+                // Archive of the best variant that declares one
+                channel.catchup = channel.streams.find(st => st.catchup)?.catchup;
+            } else {
+                /* Movies / Series (and channels without tvg-id) */
+                if (currentItem.type === 'tv') {
+                    currentItem.catchup = m3uCatchup(currentItem.attributes, currentItem.url, headerAttributes);
+                }
+                // Id from stable attributes; the former md5(name + url) id is kept as an alias
+                currentItem.id = allocateId(playlistItemId(currentItem));
+                const legacyId = `iptv_${md5(currentItem.name + currentItem.url)}`;
+                if (legacyId !== currentItem.id) currentItem.legacyId = legacyId;
+                emit(currentItem);
             }
 
-            const channel = channelGroups.get(key);
+            currentItem = null;
+        };
 
-            channel.streams.push({
-                quality,
-                url: currentItem.url,
-                title: `${baseName} [${quality}]`
-            });
+        const end = () => {
+            for (const channel of channelGroups.values()) emit(channel);
+            channelGroups.clear();
+        };
 
-            const order = { '4K': 4, 'FHD': 3, 'HD': 2, 'SD': 1 };
-            channel.streams.sort((a, b) => (order[b.quality] || 0) - (order[a.quality] || 0));
+        return { push, end, stats };
+    }
 
-            channel.url = channel.streams[0].url;
-        } else {
-            /* Movies / Series */
-            currentItem.id = `iptv_${crypto.createHash('md5')
-                .update(currentItem.name + currentItem.url)
-                .digest('hex')
-                .slice(0, 16)}`;
-            items.push(currentItem);
-        }
+    parseM3U(content) {
+        const startTs = Date.now();
+        const items = [];
+        const parser = this.createM3UParser(item => items.push(item));
+        for (const raw of content.split('\n')) parser.push(raw);
+        parser.end();
 
-        currentItem = null;
-    }
+        this.log.debug('M3U parsed (normalized)', {
+            ...parser.stats,
+            ms: Date.now() - startTs
+        });
 
-    for (const ch of channelGroups.values()) {
-        items.push(ch);
+        return items;
     }
 
-    this.log.debug('M3U parsed (normalized)', {
-        lines: lines.length,
-        items: items.length,
-        channels: channelGroups.size,
-        ms: Date.now() - startTs
-    });
-
-    return items;
-}
+    // Streams a playlist body (node-fetch Readable) line by line without buffering the whole text.
+    // onItem receives every channel/movie/series as soon as it is parsed.
+    async parseM3UStream(body, onItem) {
+        const startTs = Date.now();
+        const parser = this.createM3UParser(onItem);
+        const decoder = new StringDecoder('utf8');
+        let bytes = 0;
+        let pending = '';
+
+        for await (const chunk of body) {
+            bytes += chunk.length;
+            pending += decoder.write(chunk);
+            let from = 0;
+            let nl;
+            while ((nl = pending.indexOf('\n', from)) !== -1) {
+                parser.push(pending.slice(from, nl));
+                from = nl + 1;
+            }
+            pending = pending.slice(from);
+        }
+        pending += decoder.end();
+        if (pending) parser.push(pending);
+        parser.end();
+
+        this.log.debug('M3U stream parsed (normalized)', {
+            ...parser.stats,
+            bytes,
+            ms: Date.now() - startTs
+        });
 
+        return parser.stats;
+    }
 
     parseAttributes(str) {
         const attrs = {};
@@ -301,34 +626,387 @@ class M3UEPGAddon {
         return /\(\d{4}\)/.test(name);
     }
 
-    async parseEPG(content) {
-        const start = Date.now();
-        try {
-            const xml2js = require('xml2js');
-            const parser = new xml2js.Parser();
-            const result = await parser.parseStringPromise(content);
-            const epgData = {};
-            if (result.tv && result.tv.programme) {
-                for (const prog of result.tv.programme) {
-                    const ch = prog.$.channel;
-                    if (!epgData[ch]) epgData[ch] = [];
-                    epgData[ch].push({
-                        start: prog.$.start,
-                        stop: prog.$.stop,
-                        title: prog.title ? prog.title[0]._ || prog.title[0] : 'Unknown',
-                        desc: prog.desc ? prog.desc[0]._ || prog.desc[0] : ''
-                    });
+    // Hours of past programmes to keep: epgPastHours, or the longest catch-up archive among the
+    // playlist channels when that is longer (their archived programmes are offered as videos)
+    epgPastWindowHours(channels = this.channels) {
+        let days = 0;
+        for (const ch of channels || []) days = Math.max(days, Number(ch.catchup?.days) || 0);
+        return Math.max(this.config.epgPastHours, Math.min(days * 24, EPG_MAX_PAST_HOURS));
+    }
+
+    // SAX-based XMLTV parser shared by parseEPG (buffered text) and parseEPGStream (HTTP body).
+    // Only programmes overlapping [now - epgPastWindowHours(), now + epgFutureHours] are kept, with
+    // start/stop pre-parsed to epoch ms. When the playlist's live channels are given, each XMLTV
+    // <channel> (id + display-names) is run through the EPG matcher as it is read and programmes
+    // for guide channels no playlist channel matches are dropped while parsing.
+    createEPGParser({ channels } = {}) {
+        const sax = require('sax');
+        const now = Date.now();
+        const windowStart = now - this.epgPastWindowHours(channels) * 3600000;
+        const windowEnd = now + this.config.epgFutureHours * 3600000;
+        const matcher = channels ? createEPGMatcher(channels, item => this.manualEpgId(item)) : null;
+        const epgData = {};
+        const guideChannels = {}; // xmltv id -> { id, names, icon }
+        const categoryNames = new Map(); // lower-cased <category> -> first spelling seen in the guide
+        const stats = { programmes: 0, kept: 0, xmlErrors: 0 };
+        let chan = null;
+        let prog = null;
+        let field = null;
+        let text = '';
+
+        const parser = sax.parser(false, { lowercase: true });
+        // XMLTV feeds in the wild are often slightly malformed; skip the bad token and carry on
+        parser.onerror = () => {
+            stats.xmlErrors++;
+            parser.error = null;
+        };
+        parser.onopentag = (node) => {
+            const attrs = node.attributes || {};
+            if (node.name === 'channel' && attrs.id) {
+                chan = { id: attrs.id, names: [], icon: null };
+                return;
+            }
+            if (chan) {
+                if (node.name === 'display-name') {
+                    field = 'display-name';
+                    text = '';
+                } else if (node.name === 'icon' && attrs.src && !chan.icon) {
+                    chan.icon = attrs.src;
                 }
+                return;
             }
+            if (node.name === 'programme') {
+                stats.programmes++;
+                const channel = attrs.channel;
+                if (!channel || !attrs.start || (matcher && !matcher.offer(channel))) {
+                    prog = null;
+                    return;
+                }
+                prog = { channel, start: attrs.start, stop: attrs.stop, title: null, desc: null, icon: null, categories: [] };
+                return;
+            }
+            if (prog && node.name === 'icon' && attrs.src && !prog.icon) {
+                prog.icon = attrs.src;
+                return;
+            }
+            if (prog && (node.name === 'title' || node.name === 'desc') && prog[node.name] === null) {
+                field = node.name;
+                text = '';
+            } else if (prog && node.name === 'category') {
+                field = 'category';
+                text = '';
+            }
+        };
+        parser.ontext = parser.oncdata = (t) => {
+            if (field) text += t;
+        };
+        parser.onclosetag = (name) => {
+            if (field && name === field) {
+                if (chan) {
+                    if (text.trim()) chan.names.push(text.trim());
+                } else if (field === 'category') {
+                    const key = text.trim().toLowerCase();
+                    if (key && !categoryNames.has(key)) categoryNames.set(key, text.trim());
+                    const name = categoryNames.get(key);
+                    if (name && !prog.categories.includes(name)) prog.categories.push(name);
+                } else {
+                    prog[field] = text.trim();
+                }
+                field = null;
+                return;
+            }
+            if (name === 'channel' && chan) {
+                if (!matcher || matcher.offer(chan.id, chan.names)) guideChannels[chan.id] = chan;
+                chan = null;
+                return;
+            }
+            if (name !== 'programme' || !prog) return;
+            const start = this.parseEPGTime(prog.start).getTime();
+            const stop = prog.stop ? this.parseEPGTime(prog.stop).getTime() : null;
+            if (!isNaN(start) && start <= windowEnd && (stop === null || stop >= windowStart)) {
+                if (!epgData[prog.channel]) epgData[prog.channel] = [];
+                epgData[prog.channel].push({
+                    start,
+                    stop: isNaN(stop) ? null : stop,
+                    title: prog.title || 'Unknown',
+                    desc: prog.desc || '',
+                    icon: prog.icon || undefined,
+                    categories: prog.categories.length ? prog.categories : undefined
+                });
+                stats.kept++;
+            }
+            prog = null;
+        };
+
+        const end = () => {
+            parser.close();
+            const matches = matcher ? matcher.matches() : new Map();
+            // Guide channels that matched something but lost to a better candidate are not needed
+            const used = matcher ? new Set([...matches.values()].map(m => m.xmltvId)) : null;
+            for (const ch of Object.keys(epgData)) {
+                if (used && !used.has(ch)) {
+                    delete epgData[ch];
+                    continue;
+                }
+                const list = epgData[ch].sort((a, b) => a.start - b.start);
+                // Programmes without a stop run until the next one starts (or 30 min as a last resort)
+                for (let i = 0; i < list.length; i++) {
+                    if (list[i].stop === null)
+                        list[i].stop = list[i + 1] ? list[i + 1].start : list[i].start + 1800000;
+                }
+                epgData[ch] = list.filter(p => p.stop >= windowStart);
+                if (!epgData[ch].length) delete epgData[ch];
+            }
+            for (const id of Object.keys(guideChannels)) {
+                if (used && !used.has(id)) delete guideChannels[id];
+            }
+            return { programmes: epgData, channels: guideChannels, matches };
+        };
+
+        return { write: (str) => parser.write(str), end, stats };
+    }
+
+    // Returns { programmes, channels, matches } (see createEPGParser)
+    async parseEPG(content, options) {
+        const start = Date.now();
+        try {
+            const epg = this.createEPGParser(options);
+            epg.write(content);
+            const result = epg.end();
             this.log.debug('EPG parsed', {
-                channels: Object.keys(epgData).length,
-                programmes: Object.values(epgData).reduce((a, b) => a + b.length, 0),
+                channels: Object.keys(result.programmes).length,
+                ...epg.stats,
                 ms: Date.now() - start
             });
-            return epgData;
+            return result;
         } catch (e) {
             this.log.warn('EPG parse failed', e.message);
-            return {};
+            return { programmes: {}, channels: {}, matches: new Map() };
+        }
+    }
+
+    // Streams an XMLTV body (node-fetch Readable) through the SAX parser chunk by chunk.
+    async parseEPGStream(body, options) {
+        const start = Date.now();
+        try {
+            const epg = this.createEPGParser(options);
+            const decoder = new StringDecoder('utf8');
+            let bytes = 0;
+            for await (const chunk of body) {
+                bytes += chunk.length;
+                epg.write(decoder.write(chunk));
+            }
+            epg.write(decoder.end());
+            const result = epg.end();
+            this.log.debug('EPG stream parsed', {
+                channels: Object.keys(result.programmes).length,
+                ...epg.stats,
+                bytes,
+                ms: Date.now() - start
+            });
+            return result;
+        } catch (e) {
+            this.log.warn('EPG stream parse failed', e.message);
+            return { programmes: {}, channels: {}, matches: new Map() };
+        }
+    }
+
+    // Merge parsed sources given in priority order into epgData / epgChannels / epgChannelMap.
+    // Each playlist channel keeps the guide id from the first source that matched it; when a
+    // lower-priority source matched the same playlist channel under another id, its programmes
+    // are folded into that first id. A manual mapping wins over automatic matches from earlier
+    // sources and never receives their programmes. A lower-priority programme is only kept when it does not
+    // overlap (by more than a minute) anything already taken, so secondary sources fill gaps.
+    mergeEPGSources(sources) {
+        const epgData = {};
+        const epgChannels = {};
+        const epgChannelMap = {}; // playlist channel id -> { xmltvId, method, source }
+        let dropped = 0;
+
+        sources.forEach((source, idx) => {
+            const alias = {}; // this source's xmltv id -> merged key
+            for (const [channelId, m] of source.matches) {
+                const prev = epgChannelMap[channelId];
+                if (!prev || (isManualMatch(m) && !isManualMatch(prev))) {
+                    epgChannelMap[channelId] = { xmltvId: m.xmltvId, method: m.method, source: idx };
+                } else if (isManualMatch(m) === isManualMatch(prev) && prev.xmltvId !== m.xmltvId && !alias[m.xmltvId]) {
+                    alias[m.xmltvId] = prev.xmltvId;
+                }
+            }
+            for (const [ch, list] of Object.entries(source.programmes)) {
+                const key = alias[ch] || ch;
+                if (!epgChannels[key] && source.channels[ch]) epgChannels[key] = { ...source.channels[ch], id: key };
+                const taken = epgData[key];
+                if (!taken) {
+                    epgData[key] = list.slice();
+                    continue;
+                }
+                const fresh = list.filter(p => {
+                    const clash = taken.some(t =>
+                        Math.min(p.stop, t.stop) - Math.max(p.start, t.start) > 60000);
+                    if (clash) dropped++;
+                    return !clash;
+                });
+                if (fresh.length) epgData[key] = taken.concat(fresh).sort((a, b) => a.start - b.start);
+            }
+        });
+
+        if (sources.length > 1) {
+            this.log.debug('EPG sources merged', {
+                sources: sources.length,
+                channels: Object.keys(epgData).length,
+                overlapsDropped: dropped
+            });
+        }
+        return { epgData, epgChannels, epgChannelMap };
+    }
+
+    // Fetch every EPG source sequentially (one guide in memory at a time while parsing), match
+    // guide channels to the playlist and merge. Failing sources are skipped; the others still count.
+    async loadEPGSources(urls, { channels, userAgent } = {}) {
+        const sources = [];
+        for (const url of urls) {
+            try {
+                const controller = new AbortController();
+                const timeout = setTimeout(() => controller.abort(), 45000);
+                let resp;
+                try {
+                    resp = await fetch(url, {
+                        signal: controller.signal,
+                        headers: { 'User-Agent': userAgent || 'Stremio M3U/EPG Addon (epg)' }
+                    });
+                } finally {
+                    clearTimeout(timeout);
+                }
+                if (!resp.ok) {
+                    this.log.warn('EPG source fetch failed', resp.status, url);
+                    continue;
+                }
+                const { body } = await openBody(resp, url, { idleTimeoutMs: 45000 });
+                sources.push(await this.parseEPGStream(body, { channels }));
+            } catch (e) {
+                this.log.warn('EPG source failed', url, e.message);
+            }
+        }
+        // Nothing loaded: keep whatever guide data we already have
+        if (urls.length && !sources.length) throw new Error('No EPG source could be loaded');
+        const { epgData, epgChannels, epgChannelMap } = this.mergeEPGSources(sources);
+        this.epgData = epgData;
+        this.epgChannels = epgChannels;
+        this.epgChannelMap = epgChannelMap;
+        if (channels && this.log.enabled) this.logEPGMapping(channels);
+    }
+
+    // Debug view of the playlist -> guide channel mapping
+    logEPGMapping(channels) {
+        const mapped = [];
+        const unmatched = [];
+        for (const ch of channels) {
+            const m = this.epgChannelMap[ch.id];
+            if (m) mapped.push(`${ch.name} -> ${m.xmltvId} (${m.method}, source #${m.source + 1})`);
+            else unmatched.push(ch.name);
+        }
+        this.log.debug('EPG channel mapping', {
+            matched: mapped.length,
+            unmatched: unmatched.length,
+            mapping: mapped.slice(0, 200),
+            unmatchedChannels: unmatched.slice(0, 100)
+        });
+    }
+
+    // Configured override for a playlist channel, looked up by name, tvg-name or tvg-id
+    manualEpgId(item) {
+        if (!this.epgOverrides.size || !item) return null;
+        const keys = [item.name, item.attributes?.['tvg-name'], item.epg_channel_id, item.attributes?.['tvg-id']];
+        for (const k of keys) {
+            if (typeof k !== 'string' || !k.trim()) continue;
+            const hit = this.epgOverrides.get(k.trim().toLowerCase());
+            if (hit) return hit;
+        }
+        return null;
+    }
+
+    // Guide channel id for a playlist channel: manual override, automatic match, then raw tvg-id.
+    // A mapped channel never falls back to the automatic match, even when its target has no programmes.
+    resolveEpgId(item) {
+        const manual = this.manualEpgId(item);
+        const match = this.epgChannelMap[item.id];
+        // The guide may spell the mapped id differently (case, accents)
+        if (manual) return isManualMatch(match) ? match.xmltvId : manual;
+        if (match) return match.xmltvId;
+        return item.epg_channel_id || item.attributes?.['tvg-id'] || item.attributes?.['tvg-name'];
+    }
+
+    // Guide id a channel is exported under (XMLTV channel id / playlist tvg-id): its resolved
+    // guide id when that has programmes, null otherwise
+    exportEpgId(item) {
+        const id = this.resolveEpgId(item);
+        return id && this.epgData[id] ? id : null;
+    }
+
+    // XMLTV lines of the normalised guide (/:token/epg.xml): one channel per guide id used by the
+    // filtered playlist, named after the playlist channels, with the merged programmes
+    exportGuide() {
+        const channels = new Map(); // guide id -> { id, names, icon }
+        for (const item of this.channels) {
+            const id = this.exportEpgId(item);
+            if (!id) continue;
+            if (!channels.has(id)) channels.set(id, { id, names: [], icon: null });
+            const ch = channels.get(id);
+            if (!ch.names.includes(item.name)) ch.names.push(item.name);
+            ch.icon = ch.icon || item.logo || item.attributes?.['tvg-logo'] || this.epgChannels[id]?.icon || null;
+        }
+        return xmltvLines({ channels: [...channels.values()], programmes: this.epgData, generator: ADDON_NAME });
+    }
+
+    // M3U lines of the filtered playlist (/:token/playlist.m3u) pointing url-tvg at the guide export
+    exportPlaylist({ epgUrl } = {}) {
+        return m3uLines({ header: { 'url-tvg': epgUrl, 'x-tvg-url': epgUrl }, entries: this.playlistEntries() });
+    }
+
+    // Playlist export entries: one per channel (variants merged, tvg-id = exported guide id), the
+    // movies, then the episodes known without extra panel calls (every Direct episode, Xtream series
+    // whose info was already fetched)
+    *playlistEntries() {
+        for (const ch of this.channels) {
+            const epgId = this.exportEpgId(ch);
+            yield {
+                name: ch.name,
+                // Catch-up modes derive archive URLs from the variant that declared them
+                url: ch.catchup?.url || ch.url,
+                attributes: {
+                    'tvg-id': epgId || ch.epg_channel_id || ch.attributes?.['tvg-id'],
+                    'tvg-name': ch.name,
+                    'tvg-logo': ch.logo || ch.attributes?.['tvg-logo'] || this.epgChannels[epgId]?.icon,
+                    'group-title': ch.category || ch.attributes?.['group-title'],
+                    ...m3uCatchupAttributes(ch.catchup)
+                }
+            };
+        }
+        for (const m of this.movies) {
+            yield {
+                name: m.name,
+                url: m.url,
+                attributes: {
+                    'tvg-logo': m.poster || m.attributes?.['tvg-logo'],
+                    'group-title': m.category || m.attributes?.['group-title']
+                }
+            };
+        }
+        const pad = (n) => String(n).padStart(2, '0');
+        for (const s of this.series) {
+            const key = s.series_id || s.id.replace(/^iptv_series_/, '');
+            const episodes = this.seriesInfoCache.get(key)?.videos || this.directSeriesEpisodeIndex.get(key) || [];
+            for (const ep of episodes) {
+                yield {
+                    name: `${s.name} S${pad(ep.season)}E${pad(ep.episode)}`,
+                    url: ep.url,
+                    attributes: {
+                        'tvg-logo': ep.thumbnail || s.poster || s.attributes?.['tvg-logo'],
+                        'group-title': s.category || s.attributes?.['group-title']
+                    }
+                };
+            }
         }
     }
 
@@ -362,35 +1040,59 @@ class M3UEPGAddon {
         return d;
     }
 
-    getCurrentProgram(channelId) {
+    // Guide entry on air at `at` for one guide channel id
+    programmeAt(channelId, at = Date.now()) {
         if (!channelId || !this.epgData[channelId]) return null;
-        const now = new Date();
-        for (const p of this.epgData[channelId]) {
-            const start = this.parseEPGTime(p.start);
-            const stop = this.parseEPGTime(p.stop);
-            if (now >= start && now <= stop) {
-                return { title: p.title, description: p.desc, start, stop, startTime: start, stopTime: stop };
-            }
-        }
-        return null;
+        return this.epgData[channelId].find(p => p.start <= at && at < p.stop) || null;
     }
 
-    getUpcomingPrograms(channelId, limit = 5) {
-        if (!channelId || !this.epgData[channelId]) return [];
-        const now = new Date();
-        const upcoming = [];
-        for (const p of this.epgData[channelId]) {
-            const start = this.parseEPGTime(p.start);
-            if (start > now && upcoming.length < limit) {
-                upcoming.push({
-                    title: p.title,
-                    description: p.desc,
-                    startTime: start,
-                    stopTime: this.parseEPGTime(p.stop)
-                });
-            }
+    getCurrentProgram(channelId) {
+        const p = this.programmeAt(channelId);
+        if (!p) return null;
+        const start = new Date(p.start);
+        const stop = new Date(p.stop);
+        return { title: p.title, description: p.desc, start, stop, startTime: start, stopTime: stop };
+    }
+
+    // Programme time in the configured timezone / locale
+    formatTime(ms, options = { hour: '2-digit', minute: '2-digit' }) {
+        return new Date(ms).toLocaleString(this.config.locale || [], { ...options, timeZone: this.config.timezone });
+    }
+
+    // Channel meta videos: the guide as a schedule, one season per day (season = YYYYMMDD in the
+    // configured zone) led by a "Live" entry. The running programme plays live, finished ones from
+    // the catch-up archive when the channel has one; the rest have no stream.
+    programmeVideos(item) {
+        const programmes = this.epgData[this.resolveEpgId(item)] || [];
+        if (!programmes.length) return [];
+        const tz = this.config.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+        const logo = item.logo || item.attributes?.['tvg-logo'];
+        const now = Date.now();
+        const perDay = new Map();
+        const videos = [{
+            id: item.id,
+            title: '🔴 Live',
+            season: dayNumber(now, tz),
+            episode: 0,
+            released: new Date(now).toISOString(),
+            thumbnail: logo
+        }];
+        for (const p of programmes) {
+            const season = dayNumber(p.start, tz);
+            const episode = (perDay.get(season) || 0) + 1;
+            perDay.set(season, episode);
+            const mark = p.start <= now && now < p.stop ? '🔴 ' : isAvailable(item.catchup, p, now) ? '⏪ ' : '';
+            videos.push({
+                id: catchupVideoId(item.id, p.start),
+                title: `${mark}${this.formatTime(p.start)} · ${p.title}`,
+                season,
+                episode,
+                released: new Date(p.start).toISOString(),
+                overview: p.desc || undefined,
+                thumbnail: p.icon || logo
+            });
         }
-        return upcoming.sort((a, b) => a.startTime - b.startTime);
+        return videos;
     }
 
     async ensureSeriesInfo(seriesId) {
@@ -402,6 +1104,7 @@ class M3UEPGAddon {
             if (typeof providerModule.fetchSeriesInfo === 'function') {
                 const info = await providerModule.fetchSeriesInfo(this, seriesId);
                 this.seriesInfoCache.set(seriesId, info);
+                if (info?.videos?.length) this.scheduleDetailSave('series');
                 return info;
             }
         } catch (e) {
@@ -413,24 +1116,113 @@ class M3UEPGAddon {
         return empty;
     }
 
-    async updateData(force = false) {
+    // Xtream vod stream id of a movie (JSON mode stores it, m3u_plus URLs carry it)
+    vodStreamId(item) {
+        if (item.stream_id) return item.stream_id;
+        const xt = xtreamStreamId(item.url);
+        return xt?.kind === 'movie' ? xt.id : null;
+    }
+
+    // get_vod_info details for a movie, fetched once and cached like series info; null when the
+    // provider has no detail call
+    async ensureVodInfo(item) {
+        const providerModule = require(`./src/js/providers/${this.providerName}Provider.js`);
+        const streamId = this.vodStreamId(item);
+        if (typeof providerModule.fetchVodInfo !== 'function' || !streamId) return null;
+        const cached = this.vodInfoCache.get(streamId);
+        if (cached) return cached;
+        if (this.vodInfoFailures.has(streamId)) return {};
+        let info = null;
+        try {
+            info = await providerModule.fetchVodInfo(this, streamId);
+        } catch (e) {
+            this.log.warn('VOD info fetch failed', streamId, e.message);
+        }
+        if (!info) {
+            this.vodInfoFailures.set(streamId, true);
+            return {};
+        }
+        this.vodInfoCache.set(streamId, info);
+        this.scheduleDetailSave('vod');
+        return info;
+    }
+
+    hasData() {
+        return !!(this.channels.length || this.movies.length || this.series.length);
+    }
+
+    epgEnabled() {
+        return !!(this.config.enableEpg && this.config.includeLive);
+    }
+
+    // Due for a refresh; after failures only once the backoff since the last attempt has passed
+    isStale(kind) {
         const now = Date.now();
-        if (!force && CACHE_ENABLED) {
-            if (this.lastUpdate && now - this.lastUpdate < this.updateInterval) {
-                this.log.debug('Skip update (global interval)');
-                return;
-            }
-            if ((this.channels.length || this.movies.length || this.series.length) && now - this.lastUpdate < 900000) {
-                this.log.debug('Skip update (recent minor interval)');
-                return;
-            }
+        if (kind === 'epg' && !this.epgEnabled()) return false;
+        const [last, interval, attempt] = kind === 'epg'
+            ? [this.lastEpgUpdate, EPG_REFRESH_MS, this.lastEpgAttempt]
+            : [this.lastUpdate, PLAYLIST_REFRESH_MS, this.lastPlaylistAttempt];
+        if (now - last < interval) return false;
+        const failures = this.refreshFailures[kind === 'epg' ? 'epg' : 'playlist'];
+        if (!failures) return true;
+        return now - attempt >= Math.min(interval, REFRESH_RETRY_MS * 2 ** Math.min(failures - 1, 20));
+    }
+
+    refreshFailed(kind) {
+        this.refreshFailures[kind]++;
+        if (kind === 'epg') this.lastEpgAttempt = Date.now();
+        else this.lastPlaylistAttempt = Date.now();
+    }
+
+    // Called on every catalog / meta / stream request: serve what we have, revalidate in the background
+    touch() {
+        this.lastAccess = Date.now();
+        // Dropped from the scheduler while idle but its interface is still cached
+        if (CACHE_ENABLED && !scheduledInstances.has(this.cacheKey)) scheduleRefresh(this);
+        this.refreshIfStale().catch(() => { });
+    }
+
+    refreshIfStale() {
+        if (this.isStale('playlist')) return this.updateData(true);
+        if (this.isStale('epg')) return this.updateEPG(true);
+        return Promise.resolve();
+    }
+
+    // Full refresh: playlist, then the guide re-matched against the new channel list.
+    // Concurrent callers share the running refresh; failures keep the last good data.
+    updateData(force = false) {
+        if (!force && !this.isStale('playlist')) {
+            this.log.debug('Skip update (data is fresh)');
+            return Promise.resolve();
+        }
+        if (!this.refreshing.playlist) {
+            this.refreshing.playlist = this.refreshPlaylist()
+                .finally(() => { this.refreshing.playlist = null; });
+        }
+        return this.refreshing.playlist;
+    }
+
+    updateEPG(force = false) {
+        if (!this.epgEnabled() || (!force && !this.isStale('epg'))) return Promise.resolve();
+        if (!this.refreshing.epg) {
+            this.refreshing.epg = this.refreshEPG()
+                .finally(() => { this.refreshing.epg = null; });
         }
+        return this.refreshing.epg;
+    }
+
+    async refreshPlaylist() {
+        const start = Date.now();
         try {
-            const start = Date.now();
             const providerModule = require(`./src/js/providers/${this.providerName}Provider.js`);
+            const previous = { channels: this.channels, movies: this.movies, series: this.series };
+            const baseline = !this.hasData();
             await providerModule.fetchData(this);
+            this.applyDiff(previous, baseline);
+            this.applyImdbIds();
             this.lastUpdate = Date.now();
-            if (CACHE_ENABLED) await this.saveToCache();
+            this.refreshFailures.playlist = 0;
+            this.buildSearchIndex();
             this.buildGenresInManifest();
             this.log.debug('Data update complete', {
                 channels: this.channels.length,
@@ -439,8 +1231,311 @@ class M3UEPGAddon {
                 ms: Date.now() - start
             });
         } catch (e) {
-            this.log.error('[UPDATE] Failed:', e.message);
+            this.log.error('[UPDATE] Failed, keeping previous data:', e.message);
+            this.refreshFailed('playlist');
+            return;
+        }
+        // A guide refresh already running was matched against the old channels; run another after it
+        if (this.refreshing.epg) await this.refreshing.epg;
+        if (this.epgEnabled()) await this.updateEPG(true);
+        else if (CACHE_ENABLED) await this.saveToCache();
+        this.matchImdbIds().catch(e => this.log.warn('[IMDB] Matching failed:', e.message));
+    }
+
+    async refreshEPG() {
+        const start = Date.now();
+        try {
+            const providerModule = require(`./src/js/providers/${this.providerName}Provider.js`);
+            if (typeof providerModule.fetchEPG === 'function') await providerModule.fetchEPG(this);
+            this.lastEpgUpdate = Date.now();
+            this.refreshFailures.epg = 0;
+            this.buildGenresInManifest();
+            this.buildProgrammeIndex();
+            this.log.debug('EPG update complete', {
+                channels: Object.keys(this.epgData).length,
+                ms: Date.now() - start
+            });
+        } catch (e) {
+            this.log.error('[EPG] Update failed, keeping previous guide:', e.message);
+            this.refreshFailed('epg');
+        }
+        if (CACHE_ENABLED) await this.saveToCache();
+    }
+
+    // Match the fresh lists against the previous ones: ids carried over, firstSeen stamped
+    applyDiff(previous, baseline) {
+        const now = Date.now();
+        const aliases = new Map();
+        const summary = {};
+        for (const key of ['channels', 'movies', 'series']) {
+            // Unchanged array (e.g. series lookup failed and the old list was kept)
+            if (previous[key] === this[key]) continue;
+            summary[key] = diffItems(previous[key], this[key], { now, baseline, aliases });
+        }
+        this.updateAliases(aliases);
+        this.log.debug('Catalog diff', { baseline, ...summary, aliases: this.idAliases.size });
+        return summary;
+    }
+
+    // Merge new alias pairs (diff matches, plus the legacyId - one id or a list - left on items by
+    // the parsers while migrating) into idAliases. Chains are collapsed, aliases whose target no longer exists are
+    // dropped and only the newest MAX_ID_ALIASES are kept.
+    updateAliases(pairs) {
+        const episodes = Array.from(this.directSeriesEpisodeIndex.values()).flat();
+        const current = [...this.channels, ...this.movies, ...this.series, ...episodes];
+        const aliases = new Map([...this.idAliases, ...pairs]);
+        for (const item of current) {
+            if (item.legacyId && this.migrateLegacyIds) {
+                for (const legacyId of [].concat(item.legacyId)) aliases.set(legacyId, item.id);
+            }
+            delete item.legacyId;
+        }
+        this.migrateLegacyIds = false;
+        const live = new Set(current.map(i => i.id));
+        const resolved = new Map();
+        for (const from of aliases.keys()) {
+            if (live.has(from)) continue;
+            let to = aliases.get(from);
+            const seen = new Set([from]);
+            while (aliases.has(to) && !live.has(to) && !seen.has(to)) {
+                seen.add(to);
+                to = aliases.get(to);
+            }
+            if (live.has(to)) resolved.set(from, to);
+        }
+        // Map order is insertion order: the oldest aliases go first
+        const excess = resolved.size - Math.max(MAX_ID_ALIASES, current.length);
+        if (excess > 0) [...resolved.keys()].slice(0, excess).forEach(k => resolved.delete(k));
+        this.idAliases = resolved;
+    }
+
+    resolveId(id) {
+        return this.idAliases.get(id) || id;
+    }
+
+    // tt ids known without network (provider fields, mapping file, earlier lookups) put on movies / series
+    applyImdbIds() {
+        if (!this.imdbMatcher) return;
+        const items = [...this.movies, ...this.series];
+        const live = new Set(items.map(i => i.id));
+        for (const id of this.imdbMatches.keys()) {
+            if (!live.has(id)) this.imdbMatches.delete(id);
+        }
+        for (const item of items) {
+            const imdbId = this.imdbMatcher.known(item) || this.imdbMatches.get(item.id);
+            if (imdbId) item.imdb_id = imdbId;
+            else delete item.imdb_id;
+        }
+    }
+
+    // Background online matching for items without a tt id, one lookup at a time.
+    // Items already looked up are skipped; failed requests are retried after the next refresh.
+    matchImdbIds() {
+        if (!this.imdbMatcher || IMDB_LOOKUP_BATCH <= 0) return Promise.resolve();
+        if (!this.refreshing.imdb) {
+            this.refreshing.imdb = this.runImdbLookups()
+                .finally(() => { this.refreshing.imdb = null; });
+        }
+        return this.refreshing.imdb;
+    }
+
+    async runImdbLookups() {
+        const pending = [...this.movies, ...this.series]
+            .filter(i => !i.imdb_id && !this.imdbMatches.has(i.id))
+            .slice(0, IMDB_LOOKUP_BATCH);
+        if (!pending.length) return;
+        const start = Date.now();
+        let matched = 0;
+        for (const item of pending) {
+            try {
+                // Details already fetched for a meta request help; matching never fetches them itself
+                const info = item.type === 'movie' ? this.vodInfoCache.get(this.vodStreamId(item)) : null;
+                const imdbId = await this.imdbMatcher.lookup(item, { imdbId: info?.imdbId, tmdbId: info?.tmdbId });
+                this.imdbMatches.set(item.id, imdbId || '');
+                if (imdbId) {
+                    item.imdb_id = imdbId;
+                    matched++;
+                }
+            } catch (e) {
+                this.log.debug('IMDb lookup failed', item.id, e.message);
+            }
+        }
+        this.log.info('[IMDB] Lookups done', { checked: pending.length, matched, ms: Date.now() - start });
+        // Catalog ids (and tt de-duplication) changed for the matched items
+        if (matched) this.catalogResults.clear();
+        if (CACHE_ENABLED) await this.saveToCache();
+    }
+
+    // Movies / series first seen within RECENTLY_ADDED_DAYS, newest first
+    getRecentlyAdded(type) {
+        const since = Date.now() - RECENTLY_ADDED_DAYS * 86400000;
+        const items = type === 'movie' ? this.movies : this.series;
+        return items
+            .filter(i => i.firstSeen && i.firstSeen >= since)
+            .sort((a, b) => b.firstSeen - a.firstSeen);
+    }
+
+    // Live channels with a programme on air as [{ channel, programme }], the most recently started
+    // first. genre keeps the channels whose current programme carries that XMLTV category (case-insensitive).
+    getNowPlaying(genre) {
+        const wanted = genre ? genre.trim().toLowerCase() : null;
+        const now = Date.now();
+        const playing = [];
+        for (const channel of this.channels) {
+            const programme = this.programmeAt(this.resolveEpgId(channel), now);
+            if (!programme) continue;
+            if (wanted && !(programme.categories || []).some(c => c.toLowerCase() === wanted)) continue;
+            playing.push({ channel, programme });
+        }
+        return playing.sort((a, b) => b.programme.start - a.programme.start);
+    }
+
+    // The NOW_PLAYING_GENRES most common programme categories of the guide, sorted by name
+    getProgrammeCategories() {
+        const counts = new Map(); // lower-cased -> { name, count }
+        for (const list of Object.values(this.epgData)) {
+            for (const p of list) {
+                for (const name of p.categories || []) {
+                    const key = name.toLowerCase();
+                    const entry = counts.get(key) || counts.set(key, { name, count: 0 }).get(key);
+                    entry.count++;
+                }
+            }
         }
+        return [...counts.values()]
+            .sort((a, b) => b.count - a.count)
+            .slice(0, NOW_PLAYING_GENRES)
+            .map(e => e.name)
+            .sort((a, b) => a.localeCompare(b));
+    }
+
+    // Sorted, de-duplicated category (group-title) names for one content type
+    getCategories(type) {
+        const items = type === 'tv' ? this.channels : type === 'movie' ? this.movies : this.series;
+        return [
+            ...new Set(
+                items
+                    .map(c => c.category || c.attributes?.['group-title'])
+                    .filter(Boolean)
+                    .map(s => s.trim())
+            )
+        ].sort((a, b) => a.localeCompare(b));
+    }
+
+    // Refresh the genre options of the "All" catalogs (categories) and of "Now Playing" (guide
+    // categories) so they follow the current data.
+    // Catalog objects are mutated in place; the manifest itself is frozen by the SDK.
+    buildGenresInManifest() {
+        const catalogs = this.manifestRef?.catalogs || [];
+        for (const catalog of catalogs) {
+            const type = ALL_CATALOGS[catalog.id];
+            if (!type && catalog.id !== NOW_PLAYING_CATALOG) continue;
+            const options = type ? this.getCategories(type) : this.getProgrammeCategories();
+            const extra = (catalog.extra || []).filter(e => e.name !== 'genre');
+            const at = extra.findIndex(e => e.name === 'search') + 1;
+            if (options.length) extra.splice(at, 0, { name: 'genre', options, isRequired: false });
+            catalog.extra = extra;
+        }
+    }
+
+    buildSearchIndex() {
+        const start = Date.now();
+        this.searchIndex = createSearchIndex([...this.channels, ...this.movies, ...this.series]);
+        this.log.debug('Search index built', { items: this.searchIndex.size, ms: Date.now() - start });
+    }
+
+    // Guide search index over programme titles, categories and descriptions; finished programmes
+    // are left out. Only built for configs with epgSearch.
+    buildProgrammeIndex() {
+        if (!this.config.epgSearch) return;
+        const start = Date.now();
+        const refs = [];
+        const entries = [];
+        for (const [epgId, list] of Object.entries(this.epgData)) {
+            for (const programme of list) {
+                if (programme.stop <= start) continue;
+                entries.push({
+                    id: refs.length,
+                    name: programme.title,
+                    category: programme.categories?.join(' '),
+                    plot: programme.desc
+                });
+                refs.push({ epgId, programme });
+            }
+        }
+        this.programmeIndex = createSearchIndex(entries);
+        this.programmeRefs = refs;
+        this.log.debug('Programme index built', { programmes: refs.length, ms: Date.now() - start });
+    }
+
+    // Channels whose guide matches the query as [{ channel, programme }]: the programme on air now,
+    // best match first, or (upcoming) the next future airing per channel, soonest first.
+    // Hits scoring below half the best one (a fuzzy word in some description) are dropped.
+    searchProgrammes(query, upcoming = false) {
+        if (!this.programmeIndex) return [];
+        const now = Date.now();
+        const hits = [];
+        let top = 0;
+        for (const [ref, score] of this.programmeIndex.search(query)) {
+            const { epgId, programme } = this.programmeRefs[ref];
+            if (upcoming ? programme.start <= now : !(programme.start <= now && now < programme.stop)) continue;
+            hits.push({ epgId, programme, score });
+            if (score > top) top = score;
+        }
+        const best = new Map(); // epg id -> hit
+        for (const hit of hits) {
+            if (hit.score < top / 2) continue;
+            const prev = best.get(hit.epgId);
+            if (!prev || (upcoming ? hit.programme.start < prev.programme.start : hit.score > prev.score)) {
+                best.set(hit.epgId, hit);
+            }
+        }
+        const results = [];
+        for (const channel of this.channels) {
+            const hit = best.get(this.resolveEpgId(channel));
+            if (hit) results.push({ channel, programme: hit.programme, score: hit.score });
+        }
+        return results
+            .sort((a, b) => upcoming ? a.programme.start - b.programme.start : b.score - a.score)
+            .map(({ channel, programme }) => ({ channel, programme }));
+    }
+
+    // Items of one catalog that match the query, best match first (ties keep catalog order)
+    searchItems(items, query) {
+        const scores = this.searchIndex.search(query);
+        return items
+            .filter(i => scores.has(i.id))
+            .sort((a, b) => scores.get(b.id) - scores.get(a.id));
+    }
+
+    // One catalog entry per tt id: quality variants matched to the same title would list the same
+    // Cinemeta item several times. The first is kept; tt stream requests return all of them.
+    dedupeImdb(items) {
+        const seen = new Set();
+        return items.filter(i => {
+            if (!i.imdb_id) return true;
+            if (seen.has(i.imdb_id)) return false;
+            seen.add(i.imdb_id);
+            return true;
+        });
+    }
+
+    // Filtered catalog lists are memoised per data snapshot (lastUpdate) so every skip of one
+    // listing slices the same ordering, even while a refresh is rebuilding the arrays.
+    catalogSnapshot(key, build) {
+        const cacheKey = `${this.lastUpdate}|${key}`;
+        let items = this.catalogResults.get(cacheKey);
+        if (!items) {
+            items = build();
+            this.catalogResults.set(cacheKey, items);
+        }
+        return items;
+    }
+
+    // Snapshot key for lists built from the guide: they also change with every guide refresh and
+    // with the clock (programmes start and end), so they are rebuilt at most once a minute
+    guideSnapshotKey(key) {
+        return `${key}:${this.lastEpgUpdate}:${Math.floor(Date.now() / 60000)}`;
     }
 
     deriveFallbackLogoUrl(item) {
@@ -453,10 +1548,10 @@ class M3UEPGAddon {
     }
 
     generateMetaPreview(item) {
-    const meta = { id: item.id, type: item.type, name: item.name };
+    // Matched VOD is listed under its tt id so Stremio links it to Cinemeta
+    const meta = { id: item.imdb_id || item.id, type: item.type, name: item.name };
     if (item.type === 'tv') {
-        const epgId = item.epg_channel_id || item.attributes?.['tvg-id'] || item.attributes?.['tvg-name'];
-        const current = this.getCurrentProgram(epgId);
+        const current = this.getCurrentProgram(this.resolveEpgId(item));
         meta.description = current
             ? `📡 Now: ${current.title}${current.description ? `\n${current.description}` : ''}`
             : '📡 Live Channel';
@@ -497,7 +1592,50 @@ class M3UEPGAddon {
     return meta;
 }
 
+// Catalog entry for a channel through one of its programmes (Now Playing, guide search): named
+// after the programme, with the channel and time slot below – progress while it is on air, the
+// day and start time for later airings
+programmePreview({ channel, programme }) {
+    const meta = this.generateMetaPreview(channel);
+    const now = Date.now();
+    const slot = `${this.formatTime(programme.start)}-${this.formatTime(programme.stop)}`;
+    let timing;
+    if (programme.start <= now) {
+        const elapsed = Math.max(0, Math.floor((now - programme.start) / 60000));
+        const left = Math.max(0, Math.ceil((programme.stop - now) / 60000));
+        const filled = Math.round(10 * elapsed / Math.max(1, elapsed + left));
+        meta.releaseInfo = `${left} min left`;
+        timing = `${'▰'.repeat(filled)}${'▱'.repeat(10 - filled)} ${elapsed} min in · ${left} min left`;
+    } else {
+        const day = this.formatTime(programme.start, { weekday: 'short', day: 'numeric', month: 'short' });
+        meta.releaseInfo = `⏰ ${day} ${this.formatTime(programme.start)}`;
+        timing = `⏰ ${day}`;
+    }
+    meta.name = programme.title;
+    meta.description = [`📺 ${channel.name} · ${slot}`, timing, programme.desc].filter(Boolean).join('\n');
+    if (programme.icon) meta.background = programme.icon;
+    if (programme.categories) meta.genres = programme.categories;
+    return meta;
+}
+
 getStream(id) {
+    // Archived programme of a catch-up channel
+    const catchup = parseCatchupVideoId(id);
+    if (catchup) {
+        const channel = this.channels.find(c => c.id === this.resolveId(catchup.channelId));
+        const programme = channel && (this.epgData[this.resolveEpgId(channel)] || []).find(p => p.start === catchup.start);
+        if (!programme) return null;
+        if (programme.start <= Date.now() && Date.now() < programme.stop) return this.getStream(channel.id);
+        const url = catchupUrl(channel, programme);
+        if (!url) return null;
+        return {
+            url,
+            title: `⏪ ${programme.title}`,
+            name: channel.name,
+            behaviorHints: { notWebReady: true }
+        };
+    }
+    id = this.resolveId(id);
     // Episode streams
     if (id.startsWith('iptv_series_ep_')) {
         const epEntry = this.lookupEpisodeById(id);
@@ -531,7 +1669,29 @@ getStream(id) {
     };
 }
 
+    // Streams for a Cinemeta id: "tt0133093" (every matched movie) or "tt0944947:1:2" (that episode
+    // of every matched series)
+    async getImdbStreams(id) {
+        const [imdbId, season, episode] = id.split(':');
+        const toList = (data) => (Array.isArray(data) ? data : data ? [data] : []);
+        if (season === undefined) {
+            return this.movies
+                .filter(m => m.imdb_id === imdbId)
+                .flatMap(m => toList(this.getStream(m.id)));
+        }
+        const s = parseInt(season, 10);
+        const e = parseInt(episode, 10);
+        const streams = [];
+        for (const seriesItem of this.series.filter(x => x.imdb_id === imdbId)) {
+            const info = await this.ensureSeriesInfo(seriesItem.series_id || seriesItem.id.replace(/^iptv_series_/, ''));
+            const ep = (info?.videos || []).find(v => v.season === s && v.episode === e);
+            if (ep) streams.push(...toList(this.getStream(ep.id)));
+        }
+        return streams;
+    }
+
     lookupEpisodeById(epId) {
+        epId = this.resolveId(epId);
         // Check cached series info
         for (const [, info] of this.seriesInfoCache.entries()) {
             if (info && Array.isArray(info.videos)) {
@@ -556,8 +1716,12 @@ getStream(id) {
             season: v.season,
             episode: v.episode,
             released: v.released || null,
-            thumbnail: v.thumbnail || seriesItem.poster || seriesItem.attributes?.['tvg-logo']
+            thumbnail: v.thumbnail || seriesItem.poster || seriesItem.attributes?.['tvg-logo'],
+            overview: [v.overview, v.runtime && `⏱ ${v.runtime}`].filter(Boolean).join('\n\n') || undefined
         }));
+        // get_series_info "info" block (Xtream); Direct series have none
+        const details = info?.details || {};
+        const yearMatch = String(details.released || '').match(/^(\d{4})/);
 
         return {
             id: seriesItem.id,
@@ -565,34 +1729,45 @@ getStream(id) {
             name: seriesItem.name,
             poster: seriesItem.poster ||
                 seriesItem.attributes?.['tvg-logo'] ||
+                details.poster ||
                 `https://via.placeholder.com/300x450/3366CC/FFFFFF?text=${encodeURIComponent(seriesItem.name)}`,
-            description: seriesItem.plot || seriesItem.attributes?.['plot'] || 'Series / Show',
-            genres: seriesItem.category
+            background: details.background,
+            description: details.plot || seriesItem.plot || seriesItem.attributes?.['plot'] || 'Series / Show',
+            genres: details.genres || (seriesItem.category
                 ? [seriesItem.category]
-                : (seriesItem.attributes?.['group-title'] ? [seriesItem.attributes['group-title']] : ['Series']),
+                : (seriesItem.attributes?.['group-title'] ? [seriesItem.attributes['group-title']] : ['Series'])),
+            cast: details.cast,
+            director: details.director,
+            runtime: details.runtime,
+            imdbRating: details.rating,
+            releaseInfo: yearMatch ? yearMatch[1] : undefined,
+            trailers: details.trailer ? [{ source: details.trailer, type: 'Trailer' }] : undefined,
             videos
         };
     }
 
     async getDetailedMetaAsync(id, type) {
+        id = this.resolveId(id);
         if (type === 'series' || id.startsWith('iptv_series_')) {
             const seriesItem = this.series.find(s => s.id === id);
             if (!seriesItem) return null;
             return await this.buildSeriesMeta(seriesItem);
         }
+        // Xtream movies: fetch get_vod_info once so getDetailedMeta can add its details
+        const movie = this.movies.find(m => m.id === id);
+        if (movie) await this.ensureVodInfo(movie);
         // fallback sync path
         return this.getDetailedMeta(id);
     }
 
 getDetailedMeta(id) {
+    id = this.resolveId(id);
     const all = [...this.channels, ...this.movies];
     const item = all.find(i => i.id === id);
     if (!item) return null;
     if (item.type === 'tv') {
-        // epg_channel_id'yi önce kontrol et (parseM3U'da set edilmiş)
-        const epgId = item.epg_channel_id || item.attributes?.['tvg-id'] || item.attributes?.['tvg-name'];
+        const epgId = this.resolveEpgId(item);
         const current = this.getCurrentProgram(epgId);
-        const upcoming = this.getUpcomingPrograms(epgId, 3);
         let description = `📺 CHANNEL: ${item.name}`;
         
         // Birden fazla kalite varsa bunu ekle
@@ -601,17 +1776,14 @@ getDetailedMeta(id) {
         }
         
         if (current) {
-            const start = current.startTime?.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) || '';
-            const end = current.stopTime?.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) || '';
-            description += `\n\n📡 NOW: ${current.title}${start && end ? ` (${start}-${end})` : ''}`;
+            const start = this.formatTime(current.start);
+            const end = this.formatTime(current.stop);
+            description += `\n\n📡 NOW: ${current.title} (${start}-${end})`;
             if (current.description) description += `\n\n${current.description}`;
         }
-        if (upcoming.length) {
-            description += '\n\n📅 UPCOMING:\n';
-            for (const p of upcoming) {
-                description += `${p.startTime.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} - ${p.title}\n`;
-            }
-        }
+        // Full schedule (and catch-up archive) is listed as videos
+        const videos = this.programmeVideos(item);
+        if (item.catchup?.days) description += `\n\n⏪ CATCH-UP: ${item.catchup.days} days`;
         return {
             id: item.id,
             type: 'tv',
@@ -623,23 +1795,34 @@ getDetailedMeta(id) {
             genres: item.category
                 ? [item.category]
                 : (item.attributes?.['group-title'] ? [item.attributes['group-title']] : ['Live TV']),
-            runtime: 'Live'
+            runtime: 'Live',
+            videos: videos.length ? videos : undefined
         };
     } else {
+        // get_vod_info details (Xtream) when getDetailedMetaAsync already fetched them
+        const info = this.vodInfoCache.get(this.vodStreamId(item)) || {};
         let year = item.year;
         if (!year) {
-            const m = item.name.match(/\((\d{4})\)/);
+            const m = (info.released || '').match(/^(\d{4})/) || item.name.match(/\((\d{4})\)/);
             if (m) year = parseInt(m[1]);
         }
-        const description = item.plot || item.attributes?.['plot'] || `Movie: ${item.name}`;
+        const description = item.plot || item.attributes?.['plot'] || info.plot || `Movie: ${item.name}`;
+        const released = info.released ? new Date(info.released) : null;
         return {
             id: item.id,
             type: 'movie',
             name: item.name,
-            poster: item.poster || item.attributes?.['tvg-logo'] ||
+            poster: item.poster || item.attributes?.['tvg-logo'] || info.poster ||
                 `https://via.placeholder.com/300x450/CC6600/FFFFFF?text=${encodeURIComponent(item.name)}`,
+            background: info.background,
             description,
-            genres: item.attributes?.['group-title'] ? [item.attributes['group-title']] : ['Movie'],
+            genres: info.genres || (item.attributes?.['group-title'] ? [item.attributes['group-title']] : ['Movie']),
+            cast: info.cast,
+            director: info.director,
+            runtime: info.runtime,
+            imdbRating: info.rating,
+            released: released && !isNaN(released) ? released.toISOString() : undefined,
+            trailers: info.trailer ? [{ source: info.trailer, type: 'Trailer' }] : undefined,
             year
         };
     }
@@ -647,15 +1830,27 @@ getDetailedMeta(id) {
 }
 
 async function createAddon(config) {
+    const { includeLive, includeMovies, includeSeries } = contentFlags(config);
+    const types = [
+        includeLive && "tv",
+        includeMovies && "movie",
+        includeSeries && "series"
+    ].filter(Boolean);
+    // tt ids (IMDb-matched VOD) only go to the stream handler; their meta comes from Cinemeta
+    const streamPrefixes = IMDB_MATCHING && config.imdbMatching ? ["iptv_", "tt"] : ["iptv_"];
     const manifest = {
         id: ADDON_ID,
         version: "2.1.0", // Versiyon yükselttik
         name: ADDON_NAME,
         description: "IPTV addon (M3U / EPG / Xtream) with encrypted configs, caching & series support (Xtream + Direct)",
-        resources: ["catalog", "stream", "meta"],
-        types: ["tv", "movie", "series"],
+        resources: [
+            "catalog",
+            { name: "stream", types, idPrefixes: streamPrefixes },
+            { name: "meta", types, idPrefixes: ["iptv_"] }
+        ],
+        types,
         catalogs: [], // Boş başlat, dinamik olarak dolduracağız
-        idPrefixes: ["iptv_"],
+        idPrefixes: streamPrefixes,
         behaviorHints: {
             configurable: true,
             configurationRequired: false
@@ -668,7 +1863,7 @@ async function createAddon(config) {
     const cacheKey = createCacheKey(config);
     const debugFlag = !!config.debug || DEBUG_ENV;
     if (debugFlag) {
-        console.log('[DEBUG] createAddon start', { cacheKey, provider: config.provider, includeSeries: config.includeSeries !== false });
+        console.log('[DEBUG] createAddon start', { cacheKey, provider: config.provider, types: manifest.types });
     } else {
         console.log(`[ADDON] Cache ${CACHE_ENABLED ? 'ENABLED' : 'DISABLED'} for config ${cacheKey}`);
     }
@@ -682,70 +1877,79 @@ async function createAddon(config) {
         const builder = new addonBuilder(manifest);
         const addonInstance = new M3UEPGAddon(config, manifest);
         await addonInstance.loadFromCache();
-        await addonInstance.updateData(true);
+        if (addonInstance.hasData()) {
+            // Serve cached data right away; stale parts are revalidated in the background
+            addonInstance.refreshIfStale().catch(() => { });
+        } else {
+            await addonInstance.updateData(true);
+        }
+        // Without caching every request builds its own instance; nothing to keep fresh
+        if (CACHE_ENABLED) scheduleRefresh(addonInstance);
         
         // Kategorileri topla
-        const tvCategories = [
-            ...new Set(
-                addonInstance.channels
-                    .map(c => c.category || c.attributes?.['group-title'])
-                    .filter(Boolean)
-                    .map(s => s.trim())
-            )
-        ].sort((a, b) => a.localeCompare(b));
-
-        const movieCategories = [
-            ...new Set(
-                addonInstance.movies
-                    .map(c => c.category || c.attributes?.['group-title'])
-                    .filter(Boolean)
-                    .map(s => s.trim())
-            )
-        ].sort((a, b) => a.localeCompare(b));
-
-        const seriesCategories = [
-            ...new Set(
-                addonInstance.series
-                    .map(c => c.category || c.attributes?.['group-title'])
-                    .filter(Boolean)
-                    .map(s => s.trim())
-            )
-        ].sort((a, b) => a.localeCompare(b));
+        const tvCategories = addonInstance.getCategories('tv');
+        const movieCategories = addonInstance.getCategories('movie');
+        const seriesCategories = addonInstance.getCategories('series');
 
         // TV katalogları oluştur
-        // "All Channels" katalogu
-        manifest.catalogs.push({
-            type: 'tv',
-            id: 'iptv_channels_all',
-            name: 'All TV Channels',
-            extra: [{ name: 'search' }, { name: 'skip' }]
-        });
-
-        // Her kategori için ayrı katalog
-        tvCategories.forEach((category, index) => {
-            // Güvenli ID oluştur (özel karakterleri temizle)
-            const safeId = category
-                .toLowerCase()
-                .replace(/[^a-z0-9]/g, '_')
-                .replace(/_+/g, '_')
-                .replace(/^_|_$/g, '');
-            
+        if (includeLive) {
+            // "All Channels" katalogu
             manifest.catalogs.push({
                 type: 'tv',
-                id: `iptv_tv_${safeId}`,
-                name: category,
+                id: 'iptv_channels_all',
+                name: 'All TV Channels',
                 extra: [{ name: 'search' }, { name: 'skip' }]
             });
-        });
+            if (addonInstance.epgEnabled()) {
+                manifest.catalogs.push({
+                    type: 'tv',
+                    id: NOW_PLAYING_CATALOG,
+                    name: 'Now Playing',
+                    extra: [{ name: 'skip' }]
+                });
+            }
+            // Search-only: Stremio shows it as its own row of search results
+            if (addonInstance.epgEnabled() && addonInstance.config.epgSearch) {
+                manifest.catalogs.push({
+                    type: 'tv',
+                    id: UPCOMING_CATALOG,
+                    name: 'Upcoming',
+                    extra: [{ name: 'search', isRequired: true }, { name: 'skip' }]
+                });
+            }
+
+            // Her kategori için ayrı katalog
+            tvCategories.forEach((category, index) => {
+                // Güvenli ID oluştur (özel karakterleri temizle)
+                const safeId = category
+                    .toLowerCase()
+                    .replace(/[^a-z0-9]/g, '_')
+                    .replace(/_+/g, '_')
+                    .replace(/^_|_$/g, '');
+            
+                manifest.catalogs.push({
+                    type: 'tv',
+                    id: `iptv_tv_${safeId}`,
+                    name: category,
+                    extra: [{ name: 'search' }, { name: 'skip' }]
+                });
+            });
+        }
 
         // Film katalogları
-        if (addonInstance.movies.length > 0) {
+        if (includeMovies && addonInstance.movies.length > 0) {
             manifest.catalogs.push({
                 type: 'movie',
                 id: 'iptv_movies_all',
                 name: 'All Movies',
                 extra: [{ name: 'search' }, { name: 'skip' }]
             });
+            manifest.catalogs.push({
+                type: 'movie',
+                id: 'iptv_recent_movie',
+                name: 'Recently Added Movies',
+                extra: [{ name: 'search' }, { name: 'skip' }]
+            });
 
             movieCategories.forEach(category => {
                 const safeId = category
@@ -764,13 +1968,19 @@ async function createAddon(config) {
         }
 
         // Dizi katalogları
-        if (addonInstance.config.includeSeries !== false && addonInstance.series.length > 0) {
+        if (includeSeries && addonInstance.series.length > 0) {
             manifest.catalogs.push({
                 type: 'series',
                 id: 'iptv_series_all',
                 name: 'All Series',
                 extra: [{ name: 'search' }, { name: 'skip' }]
             });
+            manifest.catalogs.push({
+                type: 'series',
+                id: 'iptv_recent_series',
+                name: 'Recently Added Series',
+                extra: [{ name: 'search' }, { name: 'skip' }]
+            });
 
             seriesCategories.forEach(category => {
                 const safeId = category
@@ -788,22 +1998,41 @@ async function createAddon(config) {
             });
         }
 
+        // "All" catalogs get a genre filter; refreshed again after every data update
+        addonInstance.buildGenresInManifest();
+
         addonInstance.log.debug('Dynamic catalogs created', {
-            tvCatalogs: tvCategories.length + 1,
-            movieCatalogs: movieCategories.length + 1,
-            seriesCatalogs: seriesCategories.length + 1,
+            types: manifest.types,
+            tvCatalogs: manifest.catalogs.filter(c => c.type === 'tv').length,
+            movieCatalogs: manifest.catalogs.filter(c => c.type === 'movie').length,
+            seriesCatalogs: manifest.catalogs.filter(c => c.type === 'series').length,
             totalCatalogs: manifest.catalogs.length
         });
 
         builder.defineCatalogHandler(async (args) => {
             const start = Date.now();
             try {
-                addonInstance.updateData().catch(() => { });
+                addonInstance.touch();
+                const extra = args.extra || {};
                 let items = [];
                 let categoryFilter = null;
+                let snapshotKey = null;
 
                 // Catalog ID'den kategoriyi çıkar
-                if (args.id.startsWith('iptv_tv_') && args.id !== 'iptv_channels_all') {
+                if (!manifest.types.includes(args.type)) {
+                    items = [];
+                } else if (args.id === 'iptv_recent_movie' || args.id === 'iptv_recent_series') {
+                    items = addonInstance.getRecentlyAdded(args.type);
+                } else if (args.id === NOW_PLAYING_CATALOG) {
+                    const genre = extra.genre || null;
+                    snapshotKey = addonInstance.guideSnapshotKey(`${args.id}:${genre || ''}`);
+                    items = addonInstance.catalogSnapshot(snapshotKey, () => addonInstance.getNowPlaying(genre));
+                } else if (args.id === UPCOMING_CATALOG) {
+                    const query = (extra.search || '').trim().toLowerCase();
+                    snapshotKey = addonInstance.guideSnapshotKey(`${args.id}:${query}`);
+                    items = addonInstance.catalogSnapshot(snapshotKey, () =>
+                        query ? addonInstance.searchProgrammes(query, true) : []);
+                } else if (args.id.startsWith('iptv_tv_') && args.id !== 'iptv_channels_all') {
                     items = addonInstance.channels;
                     // ID'den kategori adını bul
                     const catalogDef = manifest.catalogs.find(c => c.id === args.id);
@@ -812,6 +2041,7 @@ async function createAddon(config) {
                     }
                 } else if (args.id === 'iptv_channels_all') {
                     items = addonInstance.channels;
+                    categoryFilter = extra.genre || null;
                 } else if (args.id.startsWith('iptv_movie_') && args.id !== 'iptv_movies_all') {
                     items = addonInstance.movies;
                     const catalogDef = manifest.catalogs.find(c => c.id === args.id);
@@ -820,41 +2050,62 @@ async function createAddon(config) {
                     }
                 } else if (args.id === 'iptv_movies_all') {
                     items = addonInstance.movies;
+                    categoryFilter = extra.genre || null;
                 } else if (args.id.startsWith('iptv_series_') && args.id !== 'iptv_series_all') {
-                    if (addonInstance.config.includeSeries !== false) {
-                        items = addonInstance.series;
-                        const catalogDef = manifest.catalogs.find(c => c.id === args.id);
-                        if (catalogDef) {
-                            categoryFilter = catalogDef.name;
-                        }
+                    items = addonInstance.series;
+                    const catalogDef = manifest.catalogs.find(c => c.id === args.id);
+                    if (catalogDef) {
+                        categoryFilter = catalogDef.name;
                     }
                 } else if (args.id === 'iptv_series_all') {
-                    if (addonInstance.config.includeSeries !== false)
-                        items = addonInstance.series;
+                    items = addonInstance.series;
+                    categoryFilter = extra.genre || null;
                 }
 
-                // Kategori filtresi uygula
-                if (categoryFilter) {
-                    items = items.filter(i =>
-                        (i.category && i.category === categoryFilter) ||
-                        (i.attributes && i.attributes['group-title'] === categoryFilter)
-                    );
+                const search = (extra.search || '').trim().toLowerCase();
+                const source = items;
+                const inCategory = i =>
+                    (i.category && i.category.trim() === categoryFilter) ||
+                    (i.attributes?.['group-title']?.trim() === categoryFilter);
+                // Guide catalogs are already snapshots of their own
+                if (!snapshotKey) {
+                    items = addonInstance.catalogSnapshot(`${args.type}:${args.id}:${categoryFilter || ''}:${search}`, () => {
+                        let list = source;
+                        // Kategori filtresi uygula
+                        if (categoryFilter) list = list.filter(inCategory);
+                        // Arama filtresi
+                        if (search) {
+                            list = addonInstance.searchItems(list, search);
+                        }
+                        return addonInstance.dedupeImdb(list);
+                    });
                 }
 
-                // Arama filtresi
-                const extra = args.extra || {};
-                if (extra.search) {
-                    const q = extra.search.toLowerCase();
-                    items = items.filter(i => i.name.toLowerCase().includes(q));
+                // Guide search: channels airing a matching programme now follow the name matches
+                // (limited to the selected genre like the name matches)
+                if (args.id === 'iptv_channels_all' && search && addonInstance.programmeIndex) {
+                    const named = items;
+                    items = addonInstance.catalogSnapshot(addonInstance.guideSnapshotKey(`${args.id}:guide:${categoryFilter || ''}:${search}`), () => {
+                        const ids = new Set(named.map(i => i.id));
+                        return named.concat(addonInstance.searchProgrammes(search).filter(h =>
+                            !ids.has(h.channel.id) && (!categoryFilter || inCategory(h.channel))));
+                    });
                 }
 
-                const metas = items.slice(0, 200).map(i => addonInstance.generateMetaPreview(i));
+                // Paging: pageSize items starting at skip (catalog order, or best match first when searching)
+                const pageSize = addonInstance.config.catalogPageSize;
+                const skip = Math.max(0, parseInt(extra.skip, 10) || 0);
+                // Guide entries are { channel, programme } pairs
+                const metas = items.slice(skip, skip + pageSize).map(i => i.programme
+                    ? addonInstance.programmePreview(i)
+                    : addonInstance.generateMetaPreview(i));
                 
                 if (addonInstance.config.debug) {
                     console.log('[DEBUG] Catalog handler', {
                         type: args.type,
                         id: args.id,
                         category: categoryFilter,
+                        skip,
                         totalItems: items.length,
                         returned: metas.length,
                         ms: Date.now() - start
@@ -870,7 +2121,10 @@ async function createAddon(config) {
 
         builder.defineStreamHandler(async ({ type, id }) => {
             try {
-                const streamData = addonInstance.getStream(id);
+                addonInstance.touch();
+                const streamData = /^tt\d+/.test(id)
+                    ? await addonInstance.getImdbStreams(id)
+                    : addonInstance.getStream(id);
                 if (!streamData) return { streams: [] };
                 
                 const streams = Array.isArray(streamData) ? streamData : [streamData];
@@ -888,6 +2142,7 @@ async function createAddon(config) {
 
         builder.defineMetaHandler(async ({ type, id }) => {
             try {
+                addonInstance.touch();
                 if (type === 'series' || id.startsWith('iptv_series_')) {
                     const meta = await addonInstance.getDetailedMetaAsync(id, 'series');
                     if (addonInstance.config.debug) {
@@ -895,7 +2150,7 @@ async function createAddon(config) {
                     }
                     return { meta };
                 }
-                const meta = addonInstance.getDetailedMeta(id);
+                const meta = await addonInstance.getDetailedMetaAsync(id, type);
                 if (addonInstance.config.debug) {
                     console.log('[DEBUG] Meta request', { id, type });
                 }
@@ -906,7 +2161,10 @@ async function createAddon(config) {
             }
         });
 
-        return builder.getInterface();
+        const iface = builder.getInterface();
+        // Server routes outside the Stremio protocol (guide export) reach the instance through this
+        iface._addon = addonInstance;
+        return iface;
     })();
 
     if (CACHE_ENABLED) buildPromiseCache.set(cacheKey, buildPromise);
@@ -0,0 +1,58 @@
+// Refresh diff: compares a freshly fetched catalog with the previous one so ids that changed still
+// resolve (alias table), and every item carries the time it was first seen (used by "Recently Added").
+
+/**
+ * Match next items to previous ones: same id first, then same stream URL (renamed), then same
+ * type + name (URL changed). A matched item takes over the previous firstSeen; when its id differs
+ * the pair is added to aliases (old id -> new id) so Stremio library entries keep resolving.
+ * baseline: no previous data exists (first sync) – new items are not flagged as recently added.
+ * Returns { added, removed, renamed, urlChanged, unchanged } counts.
+ */
+function diffItems(prevItems = [], nextItems = [], { now = Date.now(), baseline = false, aliases = new Map() } = {}) {
+    const summary = { added: 0, removed: 0, renamed: 0, urlChanged: 0, unchanged: 0 };
+    const prevById = new Map(prevItems.map(p => [p.id, p]));
+    const nextIds = new Set(nextItems.map(n => n.id));
+    const claimed = new Set();
+    const pending = [];
+
+    const adopt = (item, prev) => {
+        claimed.add(prev);
+        summary[prev.name !== item.name ? 'renamed' : prev.url !== item.url ? 'urlChanged' : 'unchanged']++;
+        if (prev.id !== item.id) aliases.set(prev.id, item.id);
+        item.firstSeen = prev.firstSeen ?? item.added ?? 0;
+    };
+
+    for (const item of nextItems) {
+        const prev = prevById.get(item.id);
+        if (prev) adopt(item, prev);
+        else pending.push(item);
+    }
+
+    // Previous items still unmatched whose id is not taken by a new item can be carried over
+    const free = prevItems.filter(p => !claimed.has(p) && !nextIds.has(p.id));
+    const byUrl = new Map();
+    const byName = new Map();
+    for (const p of free) {
+        if (p.url && !byUrl.has(p.url)) byUrl.set(p.url, p);
+        const nameKey = `${p.type}|${(p.name || '').trim().toLowerCase()}`;
+        if (!byName.has(nameKey)) byName.set(nameKey, p);
+    }
+
+    for (const item of pending) {
+        let prev = item.url ? byUrl.get(item.url) : null;
+        if (!prev || claimed.has(prev)) prev = byName.get(`${item.type}|${(item.name || '').trim().toLowerCase()}`);
+        if (prev && !claimed.has(prev)) {
+            adopt(item, prev);
+            continue;
+        }
+        item.firstSeen = item.added ?? (baseline ? 0 : now);
+        summary.added++;
+    }
+
+    summary.removed = prevItems.length - claimed.size;
+    return summary;
+}
+
+module.exports = {
+    diffItems
+};
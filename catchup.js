@@ -0,0 +1,167 @@
+// Catch-up (archive) playback: past EPG programmes of channels whose source keeps an archive are
+// offered as channel videos and resolved to the provider's archive URL.
+// Channels carry a `catchup` descriptor set by the provider: { type, days, url, source, timezone }.
+// type: 'xtream' (panel tv_archive) or an M3U catchup mode (default / append / shift / flussonic / xc).
+
+const { zonedParts } = require('./timeZone');
+
+const VIDEO_PREFIX = 'iptv_catchup_';
+const M3U_MODES = new Set(['default', 'append', 'shift', 'flussonic', 'fs', 'xc']);
+// Window used when a playlist enables catch-up without catchup-days (same as Kodi's IPTV Simple)
+const DEFAULT_M3U_DAYS = 5;
+
+// Video id for one guide programme: "iptv_catchup_<channel id without iptv_>_<start in unix seconds>"
+function catchupVideoId(channelId, start) {
+    return `${VIDEO_PREFIX}${String(channelId).replace(/^iptv_/, '')}_${Math.floor(start / 1000)}`;
+}
+
+// Inverse of catchupVideoId: { channelId, start } or null
+function parseCatchupVideoId(id) {
+    const m = String(id || '').match(/^iptv_catchup_(.+)_(\d+)$/);
+    return m ? { channelId: `iptv_${m[1]}`, start: parseInt(m[2], 10) * 1000 } : null;
+}
+
+/**
+ * catchup descriptor for an M3U channel from its catchup / catchup-type, catchup-days (or timeshift,
+ * tvg-rec) and catchup-source attributes; `defaults` are the #EXTM3U header attributes.
+ * undefined when the entry declares no supported catch-up mode.
+ */
+function m3uCatchup(attributes = {}, url, defaults = {}) {
+    const attr = (key) => attributes[key] ?? defaults[key];
+    let type = String(attr('catchup') || attr('catchup-type') || '').trim().toLowerCase();
+    const days = parseFloat(attr('catchup-days') || attr('timeshift') || attr('tvg-rec'));
+    // Legacy playlists only give timeshift="<days>"
+    if (!type && parseFloat(attr('timeshift')) > 0) type = 'shift';
+    if (!M3U_MODES.has(type)) return undefined;
+    return {
+        type,
+        days: days > 0 ? days : DEFAULT_M3U_DAYS,
+        source: attr('catchup-source') || undefined,
+        url
+    };
+}
+
+/**
+ * Replace catchup-source placeholders for one programme (times in unix seconds, UTC):
+ *   {utc} {start} ${start}          programme start        {utcend} {end} ${end}  programme end
+ *   {lutc} {now} ${now} ${timestamp} current time          {duration} ${duration} length (seconds)
+ *   {offset}                        seconds since start    {duration:60} {offset:60} divided by 60
+ *   {utc:Y-m-d H:M:S} ${start:...}   formatted time         {Y} {m} {d} {H} {M} {S} start parts
+ * Unknown placeholders are left as they are.
+ */
+function fillPlaceholders(template, start, stop, now = Date.now()) {
+    const seconds = {
+        utc: start, start,
+        utcend: stop, end: stop,
+        lutc: now, now, timestamp: now
+    };
+    const startParts = utcParts(start);
+    return String(template).replace(/\$?\{(\w+)(?::([^}]+))?\}/g, (match, name, arg) => {
+        if (/^[YmdHMS]$/.test(name) && !arg) return startParts[name];
+        if (name === 'duration' || name === 'offset') {
+            const value = name === 'duration' ? (stop - start) / 1000 : (now - start) / 1000;
+            const divisor = parseInt(arg, 10) > 0 ? parseInt(arg, 10) : 1;
+            return String(Math.floor(value / divisor));
+        }
+        if (!(name in seconds)) return match;
+        if (!arg) return String(Math.floor(seconds[name] / 1000));
+        const parts = utcParts(seconds[name]);
+        return arg.replace(/[YmdHMS]/g, c => parts[c]);
+    });
+}
+
+function utcParts(ms) {
+    const d = new Date(ms);
+    const pad = (n) => String(n).padStart(2, '0');
+    return {
+        Y: String(d.getUTCFullYear()),
+        m: pad(d.getUTCMonth() + 1),
+        d: pad(d.getUTCDate()),
+        H: pad(d.getUTCHours()),
+        M: pad(d.getUTCMinutes()),
+        S: pad(d.getUTCSeconds())
+    };
+}
+
+// Flussonic DVR: .../<channel>/<index|video|mono>.m3u8 -> .../<channel>/<list>-<start>-<duration>.m3u8,
+// .../<channel>/mpegts -> .../<channel>/timeshift_abs-<start>.ts (query string kept)
+function flussonicUrl(url, start, stop) {
+    const m = String(url || '').match(/^(https?:\/\/[^?#]+)\/([^/?#]+?)(\.m3u8)?(\?[^#]*)?$/i);
+    if (!m) return null;
+    const [, base, list, m3u8, query = ''] = m;
+    if (m3u8) return `${base}/${list}-${fillPlaceholders('{utc}-{duration}', start, stop)}.m3u8${query}`;
+    if (list.toLowerCase() === 'mpegts') return `${base}/timeshift_abs-${fillPlaceholders('{utc}', start, stop)}.ts${query}`;
+    return null;
+}
+
+// /live/<user>/<pass>/<id>.<ext> (or bare /<user>/<pass>/<id>) ->
+// /timeshift/<user>/<pass>/<minutes>/<YYYY-MM-DD:HH-MM>/<id>.ts
+// Panels read the start in their own timezone (server_info.timezone; UTC when unknown).
+function xtreamArchiveUrl(catchup, start, stop) {
+    const m = String(catchup.url || '').match(/^(.*)\/live\/([^/]+)\/([^/]+)\/(\d+)(?:\.\w+)?$/) ||
+        String(catchup.url || '').match(/^(https?:\/\/[^/]+)\/([^/]+)\/([^/]+)\/(\d+)(?:\.\w+)?$/);
+    if (!m) return null;
+    const [, base, user, pass, streamId] = m;
+    const p = zonedParts(start, catchup.timezone);
+    const minutes = Math.max(1, Math.ceil((stop - start) / 60000));
+    return `${base}/timeshift/${user}/${pass}/${minutes}/${p.year}-${p.month}-${p.day}:${p.hour}-${p.minute}/${streamId}.ts`;
+}
+
+/**
+ * Archive URL for a past programme of channel ({ start, stop } in epoch ms, as stored in epgData –
+ * epgOffsetHours is already applied there, so the request follows the shifted guide).
+ * null when the channel has no catch-up or the programme lies outside its archive window.
+ */
+function catchupUrl(channel, programme, now = Date.now()) {
+    const catchup = channel?.catchup;
+    if (!catchup || !programme) return null;
+    if (!isAvailable(catchup, programme, now)) return null;
+    const { start, stop } = programme;
+    switch (catchup.type) {
+        case 'xtream':
+        case 'xc':
+            return xtreamArchiveUrl(catchup, start, stop);
+        case 'default':
+            return catchup.source ? fillPlaceholders(catchup.source, start, stop, now) : null;
+        case 'append': {
+            if (!catchup.source) return null;
+            const suffix = fillPlaceholders(catchup.source, start, stop, now);
+            // "?utc=..." appended to a URL that already has a query string continues it with "&"
+            return catchup.url + (catchup.url.includes('?') && suffix.startsWith('?') ? '&' + suffix.slice(1) : suffix);
+        }
+        case 'shift':
+            return `${catchup.url}${catchup.url.includes('?') ? '&' : '?'}${fillPlaceholders('utc={utc}&lutc={lutc}', start, stop, now)}`;
+        case 'flussonic':
+        case 'fs':
+            return flussonicUrl(catchup.url, start, stop);
+        default:
+            return null;
+    }
+}
+
+// #EXTINF attributes that reproduce a catchup descriptor in an exported playlist; Xtream archives
+// use the "xc" mode, which builds the same timeshift URLs from the live URL
+function m3uCatchupAttributes(catchup) {
+    if (!catchup) return {};
+    return {
+        catchup: catchup.type === 'xtream' ? 'xc' : catchup.type,
+        'catchup-days': catchup.days,
+        'catchup-source': catchup.source
+    };
+}
+
+// Programme finished and still inside the archive window
+function isAvailable(catchup, programme, now = Date.now()) {
+    const days = Number(catchup?.days) || 0;
+    return days > 0 && programme.stop <= now && programme.start >= now - days * 86400000;
+}
+
+module.exports = {
+    catchupUrl,
+    catchupVideoId,
+    fillPlaceholders,
+    isAvailable,
+    m3uCatchup,
+    m3uCatchupAttributes,
+    parseCatchupVideoId
+};
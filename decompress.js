@@ -0,0 +1,167 @@
+// Transparent decompression for playlist / XMLTV downloads.
+// node-fetch already undoes transport-level Content-Encoding (gzip/deflate/br); this module handles
+// payloads that are compressed *files* served as raw bytes (guide.xml.gz, list.m3u.gz, guide.zip).
+const zlib = require('zlib');
+const { PassThrough, Readable, pipeline } = require('stream');
+
+const ZIP_MAX_BYTES = parseInt(process.env.ZIP_MAX_BYTES || '200000000', 10);
+// Inflated size of the extracted entry (guards against zip bombs)
+const ZIP_MAX_INFLATED_BYTES = parseInt(process.env.ZIP_MAX_INFLATED_BYTES || '500000000', 10);
+
+/**
+ * Identify the compression of a payload from its first bytes.
+ * Magic bytes are authoritative; the URL extension / content-type are only used as a hint when the
+ * head is too short to tell (e.g. an empty first chunk).
+ */
+function detectCompression(head, { url, contentType } = {}) {
+    if (head && head.length >= 2 && head[0] === 0x1f && head[1] === 0x8b) return 'gzip';
+    if (head && head.length >= 4 && head[0] === 0x50 && head[1] === 0x4b && head[2] === 0x03 && head[3] === 0x04) return 'zip';
+    if (head && head.length >= 6 && head.subarray(0, 6).equals(Buffer.from([0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00]))) return 'xz';
+    if (head && head.length >= 6) return null;
+
+    const pathname = (() => {
+        try { return new URL(url).pathname.toLowerCase(); } catch { return ''; }
+    })();
+    const ct = (contentType || '').toLowerCase();
+    if (/\.gz$/.test(pathname) || /gzip/.test(ct)) return 'gzip';
+    if (/\.zip$/.test(pathname) || /zip/.test(ct)) return 'zip';
+    if (/\.xz$/.test(pathname) || /x-xz/.test(ct)) return 'xz';
+    return null;
+}
+
+/**
+ * Extract the single XML / playlist entry from a zip archive held in memory.
+ * Uses the central directory so entries written with data descriptors are handled too.
+ */
+function unzipSingle(buf) {
+    // End of central directory record: scan backwards (comment may follow it)
+    let eocd = -1;
+    for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--) {
+        if (buf.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+    }
+    if (eocd < 0) throw new Error('Invalid zip archive (no central directory)');
+
+    const count = buf.readUInt16LE(eocd + 10);
+    let ptr = buf.readUInt32LE(eocd + 16);
+    const entries = [];
+    for (let n = 0; n < count; n++) {
+        if (buf.readUInt32LE(ptr) !== 0x02014b50) throw new Error('Invalid zip central directory');
+        const method = buf.readUInt16LE(ptr + 10);
+        const compressedSize = buf.readUInt32LE(ptr + 20);
+        const nameLen = buf.readUInt16LE(ptr + 28);
+        const extraLen = buf.readUInt16LE(ptr + 30);
+        const commentLen = buf.readUInt16LE(ptr + 32);
+        const localOffset = buf.readUInt32LE(ptr + 42);
+        const name = buf.toString('utf8', ptr + 46, ptr + 46 + nameLen);
+        if (!name.endsWith('/')) entries.push({ name, method, compressedSize, localOffset });
+        ptr += 46 + nameLen + extraLen + commentLen;
+    }
+
+    const entry = entries.find(e => /\.(xml|xmltv|m3u8?)$/i.test(e.name)) || entries[0];
+    if (!entry) throw new Error('Zip archive is empty');
+
+    const lh = entry.localOffset;
+    if (buf.readUInt32LE(lh) !== 0x04034b50) throw new Error('Invalid zip local header');
+    const dataStart = lh + 30 + buf.readUInt16LE(lh + 26) + buf.readUInt16LE(lh + 28);
+    const data = buf.subarray(dataStart, dataStart + entry.compressedSize);
+    if (entry.method === 0) return Buffer.from(data);
+    if (entry.method === 8) {
+        try {
+            return zlib.inflateRawSync(data, { maxOutputLength: ZIP_MAX_INFLATED_BYTES });
+        } catch (e) {
+            if (e.code === 'ERR_BUFFER_TOO_LARGE') {
+                throw new Error(`Zip entry inflates beyond ZIP_MAX_INFLATED_BYTES (${ZIP_MAX_INFLATED_BYTES})`);
+            }
+            throw e;
+        }
+    }
+    throw new Error(`Unsupported zip compression method ${entry.method}`);
+}
+
+// Resolve with the first chunk of a paused readable (or an empty buffer if it ends immediately).
+function readHead(stream) {
+    return new Promise((resolve, reject) => {
+        const onData = (chunk) => { cleanup(); stream.pause(); resolve(chunk); };
+        const onEnd = () => { cleanup(); resolve(Buffer.alloc(0)); };
+        const onError = (e) => { cleanup(); reject(e); };
+        function cleanup() {
+            stream.off('data', onData);
+            stream.off('end', onEnd);
+            stream.off('error', onError);
+        }
+        stream.on('data', onData);
+        stream.once('end', onEnd);
+        stream.once('error', onError);
+    });
+}
+
+// Destroy the body when no data arrives for ms (pauses from a slow consumer do not count).
+// Must be attached before the body starts flowing.
+function watchIdle(raw, ms) {
+    let timer;
+    const arm = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            if (raw.isPaused()) return arm();
+            raw.destroy(new Error(`Download stalled (no data for ${Math.round(ms / 1000)}s)`));
+        }, ms);
+    };
+    const stop = () => clearTimeout(timer);
+    raw.on('data', arm);
+    raw.once('end', stop);
+    raw.once('close', stop);
+    raw.once('error', stop);
+    arm();
+}
+
+/**
+ * Wrap a node-fetch response body so callers always read decompressed bytes.
+ * gzip is inflated as a stream; zip archives need their central directory and are buffered
+ * (capped by ZIP_MAX_BYTES). Resolves with { body, compression }.
+ * idleTimeoutMs aborts the download when the server stops sending data mid-body.
+ */
+async function openBody(resp, url, { idleTimeoutMs } = {}) {
+    const raw = resp.body;
+    if (idleTimeoutMs) watchIdle(raw, idleTimeoutMs);
+    const head = await readHead(raw);
+    if (!head.length) return { body: Readable.from([]), compression: null };
+    const compression = detectCompression(head, {
+        url: url || resp.url,
+        contentType: resp.headers && resp.headers.get('content-type')
+    });
+
+    const source = new PassThrough();
+    if (head.length) source.write(head);
+    raw.on('error', e => source.destroy(e));
+    // Consumers may stop early (size limits); release the socket with them
+    source.on('close', () => { if (!raw.destroyed) raw.destroy(); });
+    raw.pipe(source);
+
+    if (compression === 'gzip') {
+        const gunzip = zlib.createGunzip();
+        return { body: pipeline(source, gunzip, () => { }), compression };
+    }
+    if (compression === 'zip') {
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of source) {
+            size += chunk.length;
+            if (size > ZIP_MAX_BYTES) {
+                raw.destroy();
+                throw new Error(`Zip archive exceeds ZIP_MAX_BYTES (${ZIP_MAX_BYTES})`);
+            }
+            chunks.push(chunk);
+        }
+        return { body: Readable.from([unzipSingle(Buffer.concat(chunks))]), compression };
+    }
+    if (compression === 'xz') {
+        raw.destroy();
+        throw new Error('xz-compressed sources are not supported (use gzip, zip or plain)');
+    }
+    return { body: source, compression: null };
+}
+
+module.exports = {
+    detectCompression,
+    openBody
+};
@@ -0,0 +1,107 @@
+// EPG channel matching: maps playlist channels to XMLTV <channel> ids when tvg-id is missing,
+// differently cased or decorated (country suffixes, quality tags, provider prefixes).
+
+const QUALITY_RE = /\b(4K|UHD|FHD|FULL\s*HD|1080[PI]?|HD|720P|SD|HEVC|H\.?265|50FPS)\b/gi;
+// "TR: ", "UK | ", "|DE| ", "[FR] ", "DE - " style provider prefixes
+const COUNTRY_PREFIX_RE = /^\s*(?:[\[(|]\s*[a-z]{2,3}\s*[\])|]|[a-z]{2,3}\s*[:|]|[a-z]{2,3}\s+-\s)\s*/i;
+// " (UK)", " [DE]" style suffixes
+const COUNTRY_SUFFIX_RE = /\s*[\[(][a-z]{2,3}[\])]\s*$/i;
+
+function foldText(str) {
+    return String(str || '')
+        .replace(/ı/g, 'i')
+        .replace(/İ/g, 'I')
+        .replace(/ß/g, 'ss')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase();
+}
+
+// "BBCOne.uk@HD" / "bbc.one.uk" -> "bbcone"
+function normalizeEpgId(id) {
+    return foldText(id)
+        .trim()
+        .replace(/@.*$/, '')
+        .replace(/\.[a-z]{2,3}$/, '')
+        .replace(/[^a-z0-9]/g, '');
+}
+
+// "UK | BBC One FHD (UK)" -> "bbcone"
+function normalizeChannelName(name) {
+    return foldText(
+        String(name || '')
+            .replace(COUNTRY_PREFIX_RE, '')
+            .replace(COUNTRY_SUFFIX_RE, '')
+            .replace(QUALITY_RE, '')
+    ).replace(/[^a-z0-9]/g, '');
+}
+
+// Key weights: playlist side + guide side. Manual overrides always win, then exact ids,
+// normalized ids and finally names.
+const PLAYLIST_WEIGHT = { manual: 1000, id: 100, 'normalized-id': 80, name: 60 };
+const GUIDE_WEIGHT = { id: 100, 'normalized-id': 80, 'display-name': 70 };
+
+/**
+ * Build a matcher for one guide source from the playlist's live channels.
+ * offer() is called for every XMLTV channel seen (declared or only referenced by programmes)
+ * and returns true when at least one playlist channel could use it; matches() returns the best
+ * guide channel per playlist channel id. manualId(channel) may return a configured override.
+ */
+function createEPGMatcher(channels = [], manualId = () => null) {
+    const index = new Map(); // key -> [{ channel, kind }]
+    const add = (key, channel, kind) => {
+        if (!key || key.endsWith(':')) return;
+        if (!index.has(key)) index.set(key, []);
+        index.get(key).push({ channel, kind });
+    };
+
+    for (const ch of channels) {
+        const manual = manualId(ch);
+        if (manual) add('id:' + foldText(manual).trim(), ch, 'manual');
+        const id = ch.epg_channel_id || ch.attributes?.['tvg-id'];
+        if (id) {
+            add('id:' + foldText(id).trim(), ch, 'id');
+            add('n:' + normalizeEpgId(id), ch, 'normalized-id');
+        }
+        add('n:' + normalizeChannelName(ch.name), ch, 'name');
+        if (ch.attributes?.['tvg-name']) add('n:' + normalizeChannelName(ch.attributes['tvg-name']), ch, 'name');
+    }
+
+    const best = new Map(); // playlist channel id -> { xmltvId, score, method }
+    const seen = new Map(); // xmltv id -> matched?
+
+    function offer(xmltvId, displayNames = []) {
+        if (seen.has(xmltvId) && !displayNames.length) return seen.get(xmltvId);
+        const lookups = [
+            ['id:' + foldText(xmltvId).trim(), 'id'],
+            ['n:' + normalizeEpgId(xmltvId), 'normalized-id'],
+            ...displayNames.map(n => ['n:' + normalizeChannelName(n), 'display-name'])
+        ];
+        let matched = false;
+        for (const [key, guideKind] of lookups) {
+            for (const { channel, kind } of index.get(key) || []) {
+                const score = PLAYLIST_WEIGHT[kind] + GUIDE_WEIGHT[guideKind];
+                const prev = best.get(channel.id);
+                if (!prev || score > prev.score) {
+                    best.set(channel.id, { xmltvId, score, method: `${kind}~${guideKind}` });
+                }
+                matched = true;
+            }
+        }
+        seen.set(xmltvId, matched || !!seen.get(xmltvId));
+        return seen.get(xmltvId);
+    }
+
+    return {
+        offer,
+        matches: () => best
+    };
+}
+
+module.exports = {
+    COUNTRY_PREFIX_RE,
+    createEPGMatcher,
+    normalizeEpgId,
+    normalizeChannelName,
+    foldText
+};
@@ -0,0 +1,72 @@
+// Exports of the addon's normalised view for other IPTV players. Output is produced line by line
+// (generators) so large guides can be streamed, and gzipped, without building one big string.
+
+function escapeXml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'
+    })[c]);
+}
+
+// Epoch ms -> XMLTV time in UTC: "20240331183000 +0000"
+function xmltvTime(ms) {
+    return new Date(ms).toISOString().replace(/[-:T]/g, '').slice(0, 14) + ' +0000';
+}
+
+/**
+ * XMLTV document lines.
+ * channels: [{ id, names, icon }] in output order; programmes: guide id -> epgData entries
+ * ({ start, stop, title, desc, icon, categories }, times already shifted by epgOffsetHours).
+ */
+function* xmltvLines({ channels, programmes, generator }) {
+    yield '<?xml version="1.0" encoding="UTF-8"?>\n';
+    yield '<!DOCTYPE tv SYSTEM "xmltv.dtd">\n';
+    yield `<tv generator-info-name="${escapeXml(generator)}">\n`;
+    for (const ch of channels) {
+        let line = `  <channel id="${escapeXml(ch.id)}">`;
+        for (const name of ch.names) line += `<display-name>${escapeXml(name)}</display-name>`;
+        if (ch.icon) line += `<icon src="${escapeXml(ch.icon)}"/>`;
+        yield line + '</channel>\n';
+    }
+    for (const ch of channels) {
+        for (const p of programmes[ch.id] || []) {
+            let line = `  <programme start="${xmltvTime(p.start)}" stop="${xmltvTime(p.stop)}" channel="${escapeXml(ch.id)}">`;
+            line += `<title>${escapeXml(p.title)}</title>`;
+            if (p.desc) line += `<desc>${escapeXml(p.desc)}</desc>`;
+            for (const category of p.categories || []) line += `<category>${escapeXml(category)}</category>`;
+            if (p.icon) line += `<icon src="${escapeXml(p.icon)}"/>`;
+            yield line + '</programme>\n';
+        }
+    }
+    yield '</tv>\n';
+}
+
+// Line breaks would end the entry
+function singleLine(value) {
+    return String(value ?? '').replace(/[\r\n]+/g, ' ').trim();
+}
+
+function m3uAttributes(attributes = {}) {
+    return Object.entries(attributes)
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        // A double quote would end the attribute
+        .map(([key, value]) => ` ${key}="${singleLine(value).replace(/"/g, "'")}"`)
+        .join('');
+}
+
+/**
+ * Extended M3U lines. header: #EXTM3U attributes (url-tvg…); entries: iterable of
+ * { name, url, attributes }. Empty attributes are left out, entries without a URL skipped.
+ */
+function* m3uLines({ header, entries }) {
+    yield `#EXTM3U${m3uAttributes(header)}\n`;
+    for (const entry of entries) {
+        if (!entry.url) continue;
+        yield `#EXTINF:-1${m3uAttributes(entry.attributes)},${singleLine(entry.name)}\n${singleLine(entry.url)}\n`;
+    }
+}
+
+module.exports = {
+    escapeXml,
+    m3uLines,
+    xmltvLines
+};
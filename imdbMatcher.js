@@ -0,0 +1,123 @@
+// IMDb matching for VOD: maps playlist movies / series to tt ids so Stremio can link them to
+// Cinemeta metadata and ask this addon for streams of tt ids.
+// Order: ids supplied by the provider, the offline mapping file, TMDB external ids, Cinemeta search.
+const fs = require('fs');
+const fetch = require('node-fetch');
+const { COUNTRY_PREFIX_RE } = require('./epgMatcher');
+const { splitTitleYear, titleKey } = require('./itemIds');
+
+const CINEMETA_URL = (process.env.CINEMETA_URL || 'https://v3-cinemeta.strem.io').replace(/\/+$/, '');
+const TMDB_API_KEY = process.env.TMDB_API_KEY || '';
+
+const mappingFiles = new Map(); // path -> parsed mapping (read once per process)
+
+// "tt0133093", "0133093" or "https://www.imdb.com/title/tt0133093/" -> "tt0133093"; null otherwise
+function normalizeImdbId(value) {
+    const str = String(value ?? '').trim();
+    const m = str.match(/^(?:tt)?(\d{6,9})$/) || str.match(/\/title\/tt(\d{6,9})\b/);
+    return m ? `tt${m[1]}` : null;
+}
+
+// Title part of titleKey: "UK | The Matrix (1999) FHD" -> "thematrix"
+function titleOnlyKey(name) {
+    return titleKey(String(name || '').replace(COUNTRY_PREFIX_RE, '')).split('|')[0];
+}
+
+/**
+ * Offline mapping file: a JSON object whose keys are item ids ("iptv_vod_1234"), TMDB ids
+ * ("tmdb:movie:603", "tmdb:series:1399") or titles ("The Matrix (1999)"), values tt ids.
+ * Read once per process; a missing or broken file is logged and treated as empty.
+ */
+function loadMappingFile(path) {
+    if (!path) return null;
+    if (mappingFiles.has(path)) return mappingFiles.get(path);
+    const mapping = { byId: new Map(), byTmdb: new Map(), byTitle: new Map() };
+    try {
+        const json = JSON.parse(fs.readFileSync(path, 'utf8'));
+        for (const [key, value] of Object.entries(json || {})) {
+            const imdbId = normalizeImdbId(value);
+            if (!imdbId) continue;
+            if (key.startsWith('iptv_')) mapping.byId.set(key, imdbId);
+            else if (/^tmdb:/i.test(key)) mapping.byTmdb.set(key.toLowerCase(), imdbId);
+            else if (titleKey(key)) mapping.byTitle.set(titleKey(key), imdbId);
+        }
+    } catch (e) {
+        console.warn('[IMDB] Mapping file could not be read:', path, e.message);
+    }
+    mappingFiles.set(path, mapping);
+    return mapping;
+}
+
+async function tmdbToImdb(type, tmdbId) {
+    if (!TMDB_API_KEY || !tmdbId) return null;
+    const kind = type === 'series' ? 'tv' : 'movie';
+    const resp = await fetch(
+        `https://api.themoviedb.org/3/${kind}/${encodeURIComponent(tmdbId)}/external_ids?api_key=${encodeURIComponent(TMDB_API_KEY)}`,
+        { timeout: 15000 }
+    );
+    if (!resp.ok) return null;
+    const json = await resp.json();
+    return normalizeImdbId(json?.imdb_id);
+}
+
+// Cinemeta title search; only an exact (folded) title match is accepted, within a year when both sides have one
+async function searchCinemeta(type, name, year) {
+    const title = splitTitleYear(String(name || '').replace(COUNTRY_PREFIX_RE, '')).title;
+    const wanted = titleOnlyKey(title);
+    if (!wanted) return null;
+    const resp = await fetch(
+        `${CINEMETA_URL}/catalog/${type}/top/search=${encodeURIComponent(title)}.json`,
+        { timeout: 15000, headers: { 'User-Agent': 'Stremio M3U/EPG Addon (imdbMatcher)' } }
+    );
+    if (!resp.ok) return null;
+    const json = await resp.json();
+    for (const meta of json?.metas || []) {
+        if (titleOnlyKey(meta.name) !== wanted) continue;
+        const metaYear = parseInt(meta.releaseInfo || meta.year, 10);
+        if (year && metaYear && Math.abs(metaYear - year) > 1) continue;
+        const imdbId = normalizeImdbId(meta.imdb_id || meta.id);
+        if (imdbId) return imdbId;
+    }
+    return null;
+}
+
+/**
+ * Matcher over one mapping file. known(item) answers synchronously from provider fields and the
+ * mapping file; lookup(item, hints) goes online (TMDB when a key is configured, then Cinemeta).
+ * hints: { imdbId, tmdbId } from provider detail calls (Xtream get_vod_info).
+ */
+function createImdbMatcher({ mapFile } = {}) {
+    const mapping = loadMappingFile(mapFile);
+
+    function known(item) {
+        const own = normalizeImdbId(item.imdb_id);
+        if (own) return own;
+        if (!mapping) return null;
+        if (mapping.byId.has(item.id)) return mapping.byId.get(item.id);
+        if (item.tmdb_id && mapping.byTmdb.has(`tmdb:${item.type}:${item.tmdb_id}`)) {
+            return mapping.byTmdb.get(`tmdb:${item.type}:${item.tmdb_id}`);
+        }
+        const key = titleKey(String(item.name || '').replace(COUNTRY_PREFIX_RE, ''));
+        return mapping.byTitle.get(key) || null;
+    }
+
+    async function lookup(item, hints = {}) {
+        const hinted = normalizeImdbId(hints.imdbId);
+        if (hinted) return hinted;
+        const tmdbId = hints.tmdbId || item.tmdb_id;
+        if (tmdbId && mapping?.byTmdb.has(`tmdb:${item.type}:${tmdbId}`)) {
+            return mapping.byTmdb.get(`tmdb:${item.type}:${tmdbId}`);
+        }
+        const viaTmdb = await tmdbToImdb(item.type, tmdbId);
+        if (viaTmdb) return viaTmdb;
+        const year = item.year || parseInt(splitTitleYear(item.name).year, 10) || null;
+        return searchCinemeta(item.type, item.name, year);
+    }
+
+    return { known, lookup };
+}
+
+module.exports = {
+    createImdbMatcher,
+    normalizeImdbId
+};
@@ -0,0 +1,98 @@
+// Stable item ids: derived from attributes that survive token rotation and password changes
+// (tvg-id, normalised title + year, Xtream stream ids) instead of the raw stream URL.
+const crypto = require('crypto');
+const { foldText } = require('./epgMatcher');
+
+// Query parameters that carry credentials or expiring signatures
+const SECRET_PARAM_RE = /^(token|auth|authorization|password|pass|pwd|username|user|login|key|apikey|api_key|signature|sig|hash|md5|expires|exp|e|st|session|sid)$/i;
+// /live|movie|series/<user>/<pass>/<stream>.ext
+const XTREAM_PATH_RE = /^\/(live|movie|series|timeshift)\/[^/]+\/[^/]+\/(.+)$/i;
+// Bare Xtream live path: /<user>/<pass>/<stream id>
+const XTREAM_BARE_RE = /^\/[^/]+\/[^/]+\/(\d+(?:\.\w+)?)$/;
+const QUALITY_RE = /\b(4k|uhd|fhd|full\s*hd|1080[pi]?|720p|hd|sd|hevc|h\.?265)\b/g;
+const YEAR_RE = /[([]((?:19|20)\d{2})[)\]]|[\s\-.]((?:19|20)\d{2})\s*$/;
+
+function md5(text, len = 16) {
+    return crypto.createHash('md5').update(String(text)).digest('hex').slice(0, len);
+}
+
+/**
+ * Credential-free form of a stream URL for hashing: user info, secret query parameters and the
+ * user/password segments of Xtream paths are removed. The host is dropped as well so a panel
+ * moving to another domain keeps its ids.
+ */
+function stripCredentials(url) {
+    try {
+        const u = new URL(url);
+        for (const key of [...u.searchParams.keys()]) {
+            if (SECRET_PARAM_RE.test(key)) u.searchParams.delete(key);
+        }
+        const path = u.pathname
+            .replace(XTREAM_PATH_RE, '/$1/$2')
+            .replace(XTREAM_BARE_RE, '/$1');
+        return path + u.search;
+    } catch {
+        return String(url || '');
+    }
+}
+
+// { kind: 'live' | 'movie' | 'series', id } for Xtream stream URLs, else null
+function xtreamStreamId(url) {
+    const m = String(url || '').match(/\/(live|movie|series)\/[^/]+\/[^/]+\/(\d+)(?:\.\w+)?(?:\?|$)/i);
+    return m ? { kind: m[1].toLowerCase(), id: m[2] } : null;
+}
+
+// "Der Pate (1972) [FHD]" -> { title: "Der Pate [FHD]", year: "1972" }
+function splitTitleYear(name) {
+    const str = String(name || '');
+    const m = str.match(YEAR_RE);
+    return {
+        title: (m ? str.replace(m[0], ' ') : str).replace(/\s{2,}/g, ' ').trim(),
+        year: m ? (m[1] || m[2]) : ''
+    };
+}
+
+// "Der Pate (1972) [FHD]" -> "derpate|1972"; empty when the name has no usable characters
+function titleKey(name) {
+    const { title: raw, year } = splitTitleYear(name);
+    const title = foldText(raw)
+        .replace(QUALITY_RE, '')
+        .replace(/[^\p{L}\p{N}]+/gu, '');
+    return title ? `${title}|${year}` : '';
+}
+
+/**
+ * Per-refresh id de-duplication: the second item wanting the same id gets "<id>_2" and so on.
+ * Deterministic as long as the playlist order is.
+ */
+function createIdAllocator() {
+    const used = new Map();
+    return (id) => {
+        const n = (used.get(id) || 0) + 1;
+        used.set(id, n);
+        return n === 1 ? id : `${id}_${n}`;
+    };
+}
+
+/**
+ * Id for a movie / series-episode / untagged channel parsed from an M3U playlist.
+ * Xtream stream ids win (movies then match the Xtream JSON mode's iptv_vod_<id>), then the
+ * normalised title (+ year) for VOD, then the credential-free URL.
+ */
+function playlistItemId(item) {
+    const xt = xtreamStreamId(item.url);
+    if (item.type === 'movie' && xt && xt.kind === 'movie') return `iptv_vod_${xt.id}`;
+    const title = titleKey(item.name);
+    if (item.type !== 'tv' && title) return `iptv_${md5(`${item.type}|${title}`)}`;
+    return `iptv_${md5(`${item.type}|${title}|${stripCredentials(item.url)}`)}`;
+}
+
+module.exports = {
+    createIdAllocator,
+    md5,
+    playlistItemId,
+    splitTitleYear,
+    stripCredentials,
+    titleKey,
+    xtreamStreamId
+};
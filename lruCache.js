@@ -55,6 +55,24 @@ class LRUCache {
         return Array.from(this.map.keys());
     }
 
+    // [key, value] pairs, least recently used first
+    entries() {
+        this._pruneExpired();
+        return Array.from(this.map.entries(), ([k, v]) => [k, v.value]);
+    }
+
+    // Bulk restore of [key, value, expires] triples (least recently used first). Existing keys
+    // win; expiry and size are enforced once at the end instead of per entry.
+    load(entries) {
+        const now = this._now();
+        for (const [key, value, expires] of entries) {
+            if (this.map.has(key)) continue;
+            this.map.set(key, { value, expires: expires || (this.ttl ? now + this.ttl : null) });
+        }
+        this._pruneExpired();
+        while (this.map.size > this.max) this.map.delete(this.map.keys().next().value);
+    }
+
     clear() {
         this.map.clear();
     }
@@ -0,0 +1,152 @@
+// Catalog search index: diacritic-folded tokens from name, category and plot with prefix and
+// small-typo matching. Rebuilt after every data update; queries rank exact > prefix > fuzzy hits.
+const { foldText } = require('./epgMatcher');
+const LRUCache = require('./lruCache');
+
+const FIELD_WEIGHT = [10, 3, 1];           // name, category, plot
+const MATCH_WEIGHT = { exact: 1, prefix: 0.7, fuzzy: 0.4 };
+// Scored queries remembered per index: Stremio sends one search to every catalog at once
+const QUERY_CACHE_MAX = 64;
+
+// foldText plus Arabic: harakat and hamza marks dropped (NFD already split them off the alef forms),
+// alef maqsura / teh marbuta folded to the letters people usually type instead
+function foldSearch(str) {
+    return foldText(str)
+        .replace(/[\u064B-\u065F\u0670]/g, '')
+        .replace(/\u0649/g, '\u064A')
+        .replace(/\u0629/g, '\u0647');
+}
+
+function tokenize(str) {
+    return foldSearch(str).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// Typos allowed for a query term of this length
+function maxDistance(len) {
+    if (len >= 8) return 2;
+    if (len >= 4) return 1;
+    return 0;
+}
+
+// Edit distance counting adjacent transpositions as one edit ("secert" -> "secret"),
+// giving up (returns max + 1) once it can no longer stay within max
+function boundedDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const cur = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            cur[j] = Math.min(
+                prev[j] + 1,
+                cur[j - 1] + 1,
+                prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            if (prevPrev && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                cur[j] = Math.min(cur[j], prevPrev[j - 2] + 1);
+            }
+            if (cur[j] < rowMin) rowMin = cur[j];
+        }
+        if (rowMin > max) return max + 1;
+        prevPrev = prev;
+        prev = cur;
+    }
+    return prev[b.length];
+}
+
+function matchKind(term, word) {
+    if (word === term) return 'exact';
+    if (word.startsWith(term)) return 'prefix';
+    const max = maxDistance(term.length);
+    if (max && boundedDistance(term, word, max) <= max) return 'fuzzy';
+    return null;
+}
+
+/**
+ * Index catalog items (channels, movies, series). search(query) resolves to a Map of
+ * item id -> score containing only items where every query term matched some field;
+ * a plain substring hit on the name is kept as the lowest-ranked fallback. Results are shared
+ * between calls with the same normalised query and must not be modified.
+ */
+function createSearchIndex(items = []) {
+    const ids = [];
+    const names = [];
+    const vocab = new Map(); // word -> [ordinal * 4 + field]
+    const queryCache = new LRUCache({ max: QUERY_CACHE_MAX, ttl: 0 }); // normalised query -> results
+
+    items.forEach((item, ordinal) => {
+        ids.push(item.id);
+        names.push(tokenize(item.name).join(' '));
+        const fields = [
+            item.name,
+            item.category || item.attributes?.['group-title'],
+            item.plot || item.attributes?.['plot']
+        ];
+        const seen = new Set();
+        fields.forEach((text, field) => {
+            for (const word of tokenize(text)) {
+                const key = word + '|' + field;
+                if (seen.has(key)) continue;
+                seen.add(key);
+                if (!vocab.has(word)) vocab.set(word, []);
+                vocab.get(word).push(ordinal * 4 + field);
+            }
+        });
+    });
+
+    function search(query) {
+        const terms = [...new Set(tokenize(query))];
+        if (!terms.length) return new Map();
+        const cacheKey = terms.join(' ');
+        const cached = queryCache.get(cacheKey);
+        if (cached) return cached;
+        const results = new Map();
+
+        let scores = null; // ordinal -> summed score over the terms matched so far
+        for (const term of terms) {
+            const termScores = new Map();
+            for (const [word, postings] of vocab) {
+                const kind = matchKind(term, word);
+                if (!kind) continue;
+                for (const posting of postings) {
+                    const ordinal = Math.floor(posting / 4);
+                    const score = MATCH_WEIGHT[kind] * FIELD_WEIGHT[posting % 4];
+                    if (!(termScores.get(ordinal) >= score)) termScores.set(ordinal, score);
+                }
+            }
+            if (scores) {
+                for (const [ordinal, score] of scores) {
+                    if (termScores.has(ordinal)) scores.set(ordinal, score + termScores.get(ordinal));
+                    else scores.delete(ordinal);
+                }
+            } else {
+                scores = termScores;
+            }
+            if (!scores.size) break;
+        }
+
+        const phrase = terms.join(' ');
+        for (const [ordinal, score] of scores) {
+            let bonus = 0;
+            if (names[ordinal] === phrase) bonus = 50;
+            else if (names[ordinal].startsWith(phrase)) bonus = 20;
+            results.set(ids[ordinal], score + bonus);
+        }
+        names.forEach((name, ordinal) => {
+            if (!results.has(ids[ordinal]) && name.includes(phrase)) results.set(ids[ordinal], 0.1);
+        });
+        queryCache.set(cacheKey, results);
+        return results;
+    }
+
+    return {
+        search,
+        size: ids.length
+    };
+}
+
+module.exports = {
+    createSearchIndex,
+    tokenize
+};
@@ -7,9 +7,12 @@ const express = require('express');
 const path = require('path');
 const crypto = require('crypto');
 const fetch = require('node-fetch');
+const zlib = require('zlib');
+const { Readable, pipeline } = require('stream');
 const createAddon = require('./addon');
 const { encryptConfig, tryParseConfigToken } = require('./cryptoConfig');
 const LRUCache = require('./lruCache');
+const { openBody } = require('./decompress');
 
 const DEBUG = (process.env.DEBUG_MODE || '').toLowerCase() === 'true';
 function dlog(...args) {
@@ -37,6 +40,10 @@ const CACHE_ENABLED = (process.env.CACHE_ENABLED || 'true').toLowerCase() !== 'f
 const PREFETCH_MAX_BYTES = parseInt(process.env.PREFETCH_MAX_BYTES || '150000000', 10);
 const PREFETCH_ENABLED = (process.env.PREFETCH_ENABLED || 'true').toLowerCase() !== 'false';
 
+// Public origin of this server (e.g. https://iptv.example.com) for absolute links in exports;
+// without it the request's own host is used when it looks like a plain host[:port]
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/+$/, '');
+
 const app = express();
 const staticDir = path.join(__dirname, 'src');
 app.use(express.static(staticDir));
@@ -111,8 +118,8 @@ app.post('/api/prefetch', async (req, res) => {
             return res.status(502).json({ error: `Fetch failed (${fetched.status})` });
         }
 
-        // Accumulate stream with a byte limit
-        const reader = fetched.body; // Node.js readable stream
+        // Accumulate (decompressed) stream with a byte limit; .gz / .zip sources are inflated transparently
+        const { body: reader, compression } = await openBody(fetched, url, { idleTimeoutMs: 45000 });
         const chunks = [];
         let received = 0;
         let truncated = false;
@@ -136,12 +143,13 @@ app.post('/api/prefetch', async (req, res) => {
         let content = Buffer.concat(chunks).toString('utf8');
         if (content.charCodeAt(0) === 0xFEFF) content = content.slice(1); // strip BOM
 
-        dlog('Prefetch done', { bytes: received, truncated, returnedBytes: Buffer.byteLength(content) });
+        dlog('Prefetch done', { bytes: received, truncated, compression, returnedBytes: Buffer.byteLength(content) });
 
         res.json({
             ok: true,
             bytes: received,
             truncated,
+            compression,
             purpose: purpose || null,
             content
         });
@@ -300,6 +308,54 @@ app.get('/:token/logo/:tvgId.png', async (req, res) => {
     res.redirect(`https://via.placeholder.com/300x400/333333/FFFFFF?text=${encodeURIComponent(noCountry.toUpperCase().slice(0, 12))}`);
 });
 
+// Absolute origin for export links: PUBLIC_URL, else the request's protocol (express, so
+// X-Forwarded-Proto only counts behind a trusted proxy) and a validated Host; null when unusable
+function publicBase(req) {
+    if (PUBLIC_URL) return PUBLIC_URL;
+    const host = req.get('host') || '';
+    if (!/^[a-z0-9.-]+(:\d{1,5})?$/i.test(host) && !/^\[[0-9a-f:.]+\](:\d{1,5})?$/i.test(host)) return null;
+    return `${req.protocol}://${host}`;
+}
+
+// Streams export lines (exporter.js generators) to the response, gzipped on request.
+// Exports are per token and the playlist carries provider credentials: never shared-cached.
+function sendExport(res, lines, { contentType, gzip, cacheControl = 'private, max-age=900' }) {
+    res.setHeader('Content-Type', gzip ? 'application/gzip' : contentType);
+    res.setHeader('Cache-Control', cacheControl);
+    const body = Readable.from(lines);
+    const done = (err) => {
+        if (err) console.error('[SERVER] Export failed:', err.message);
+    };
+    if (gzip) pipeline(body, zlib.createGzip(), res, done);
+    else pipeline(body, res, done);
+}
+
+// Guide export: the matched, merged guide of the filtered playlist as XMLTV (epg.xml.gz or ?gzip=1 gzipped)
+app.get(['/:token/epg.xml', '/:token/epg.xml.gz'], (req, res) => {
+    const addon = req.addonInterface?._addon;
+    if (!addon) return res.status(500).json({ error: 'Interface not ready' });
+    if (!addon.epgEnabled()) return res.status(404).json({ error: 'EPG disabled for this configuration' });
+    addon.touch();
+    sendExport(res, addon.exportGuide(), {
+        contentType: 'application/xml; charset=utf-8',
+        gzip: req.path.endsWith('.gz') || req.query.gzip === '1'
+    });
+});
+
+// Playlist export: the addon's view of the playlist as M3U, url-tvg pointing at the guide export
+app.get('/:token/playlist.m3u', (req, res) => {
+    const addon = req.addonInterface?._addon;
+    if (!addon) return res.status(500).json({ error: 'Interface not ready' });
+    addon.touch();
+    const base = publicBase(req);
+    const epgUrl = base && addon.epgEnabled() ? `${base}/${encodeURIComponent(req.configToken)}/epg.xml` : undefined;
+    sendExport(res, addon.exportPlaylist({ epgUrl }), {
+        contentType: 'audio/x-mpegurl; charset=utf-8',
+        gzip: req.query.gzip === '1',
+        cacheControl: 'private, no-store'
+    });
+});
+
 // Stremio router
 app.use('/:token', (req, res) => {
     const iface = req.addonInterface;
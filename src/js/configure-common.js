@@ -200,6 +200,130 @@
         return { token, manifestUrl, stremioUrl };
     }
 
+    /* -------- EPG channel mapping editor -------- */
+
+    const mapRows          = document.getElementById('epgMapRows');
+    const addMapRowBtn     = document.getElementById('addEpgMapRow');
+    const guideList        = document.getElementById('guideChannelList');
+    const playlistList     = document.getElementById('playlistChannelList');
+    const guideHint        = document.getElementById('guideChannelsHint');
+    const guideChannels    = new Map(); // xmltv id -> display names
+
+    // Pull <channel id="..."><display-name>..</display-name></channel> entries out of XMLTV text
+    function extractGuideChannels(xml) {
+        const out = [];
+        const chRe = /<channel\s[^>]*id="([^"]+)"[^>]*>([\s\S]*?)<\/channel>/gi;
+        let m;
+        while ((m = chRe.exec(xml)) !== null) {
+            const names = [];
+            const nameRe = /<display-name[^>]*>([\s\S]*?)<\/display-name>/gi;
+            let n;
+            while ((n = nameRe.exec(m[2])) !== null) names.push(n[1].trim());
+            out.push({ id: m[1], names });
+        }
+        return out;
+    }
+
+    function fillDatalist(list, entries) {
+        if (!list) return;
+        list.innerHTML = '';
+        for (const { value, label } of entries) {
+            const opt = document.createElement('option');
+            opt.value = value;
+            if (label) opt.label = label;
+            list.appendChild(opt);
+        }
+    }
+
+    function addGuideChannels(channels) {
+        for (const ch of channels) {
+            const prev = guideChannels.get(ch.id) || [];
+            guideChannels.set(ch.id, [...new Set([...prev, ...ch.names])]);
+        }
+        fillDatalist(guideList, [...guideChannels.entries()]
+            .sort((a, b) => a[0].localeCompare(b[0]))
+            .map(([id, names]) => ({ value: id, label: names.join(' / ') })));
+        if (guideHint) guideHint.textContent = `${guideChannels.size.toLocaleString()} guide channels loaded – type to search.`;
+    }
+
+    function setPlaylistChannels(names) {
+        fillDatalist(playlistList, [...new Set(names)].sort((a, b) => a.localeCompare(b))
+            .map(value => ({ value })));
+    }
+
+    function addMappingRow(from = '', to = '') {
+        if (!mapRows) return;
+        const row = document.createElement('div');
+        row.className = 'map-row';
+        row.innerHTML =
+            '<input type="text" class="map-from" list="playlistChannelList" placeholder="Playlist channel name or tvg-id">' +
+            '<span class="map-arrow">→</span>' +
+            '<input type="text" class="map-to" list="guideChannelList" placeholder="Guide channel id">' +
+            '<button type="button" class="btn tiny ghost">✕</button>';
+        row.querySelector('.map-from').value = from;
+        row.querySelector('.map-to').value = to;
+        row.querySelector('button').addEventListener('click', () => row.remove());
+        mapRows.appendChild(row);
+    }
+
+    function readMapping() {
+        const map = {};
+        if (!mapRows) return map;
+        for (const row of mapRows.querySelectorAll('.map-row')) {
+            const from = row.querySelector('.map-from').value.trim();
+            const to = row.querySelector('.map-to').value.trim();
+            if (from && to) map[from] = to;
+        }
+        return map;
+    }
+
+    if (addMapRowBtn) addMapRowBtn.addEventListener('click', () => addMappingRow());
+
+    /* -------- Time zone & locale (schedule times) -------- */
+
+    const tzInput          = document.getElementById('timezone');
+    const tzList           = document.getElementById('timezoneList');
+    const localeInput      = document.getElementById('locale');
+
+    function isValidTimeZone(tz) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: tz });
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    function isValidLocale(locale) {
+        try {
+            return Intl.DateTimeFormat.supportedLocalesOf([locale]).length > 0;
+        } catch {
+            return false;
+        }
+    }
+
+    // Pre-fill with the browser's zone / language; the datalist offers every zone the browser knows
+    function initTimeZoneFields() {
+        const detected = Intl.DateTimeFormat().resolvedOptions();
+        if (tzInput && !tzInput.value) tzInput.value = detected.timeZone || '';
+        if (localeInput && !localeInput.value) localeInput.value = navigator.language || detected.locale || '';
+        if (tzList && typeof Intl.supportedValuesOf === 'function') {
+            fillDatalist(tzList, Intl.supportedValuesOf('timeZone').map(value => ({ value })));
+        }
+    }
+
+    // { timezone, locale, error } – error names the first invalid field
+    function readTimeZone() {
+        const timezone = tzInput ? tzInput.value.trim() : '';
+        const locale = localeInput ? localeInput.value.trim() : '';
+        let error = null;
+        if (timezone && !isValidTimeZone(timezone)) error = `Unknown time zone: ${timezone}`;
+        else if (locale && !isValidLocale(locale)) error = `Unknown locale: ${locale}`;
+        return { timezone: timezone || undefined, locale: locale || undefined, error };
+    }
+
+    initTimeZoneFields();
+
     /* -------- Public API -------- */
 
     window.ConfigureCommon = {
@@ -211,6 +335,16 @@
         setProgress,
         appendDetail,
         // For direct-config pre-flight to re-disable if needed
-        forceDisableActions: disableActionButtons
+        forceDisableActions: disableActionButtons,
+        epgMapping: {
+            extractGuideChannels,
+            addGuideChannels,
+            setPlaylistChannels,
+            addRow: addMappingRow,
+            read: readMapping
+        },
+        timeZone: {
+            read: readTimeZone
+        }
     };
 })();
\ No newline at end of file
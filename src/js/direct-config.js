@@ -8,10 +8,16 @@
     }
 
     const m3uInput       = document.getElementById('m3uUrl');
-    const epgInput       = document.getElementById('epgUrl');
+    const epgInput       = document.getElementById('epgUrls');
     const enableEpgChk   = document.getElementById('enableEpg');
+    const epgSearchChk   = document.getElementById('epgSearch');
     const epgOffsetInput = document.getElementById('epgOffsetHours');
     const debugChk       = document.getElementById('debugMode');
+    const includeLiveChk   = document.getElementById('includeLive');
+    const includeMoviesChk = document.getElementById('includeMovies');
+    const includeSeriesChk = document.getElementById('includeSeries');
+    const imdbMatchingChk  = document.getElementById('imdbMatching');
+    const loadGuideBtn   = document.getElementById('loadGuideChannels');
 
     const {
         showOverlay,
@@ -20,7 +26,9 @@
         buildUrls,
         setProgress,
         overlaySetMessage,
-        appendDetail
+        appendDetail,
+        epgMapping,
+        timeZone
     } = window.ConfigureCommon || {};
 
     if (!window.ConfigureCommon) {
@@ -61,12 +69,21 @@
             throw new Error(`Server prefetch failed ${res.status} - ${msg}${detail}`);
         }
         if (!payload.ok || !payload.content) throw new Error('Server prefetch empty content');
-        appendDetail(`✔ (Server) ${purpose} ${payload.bytes.toLocaleString()} bytes${payload.truncated ? ' (truncated)' : ''}`);
+        appendDetail(`✔ (Server) ${purpose} ${payload.bytes.toLocaleString()} bytes${payload.compression ? ` (${payload.compression} decompressed)` : ''}${payload.truncated ? ' (truncated)' : ''}`);
         return payload.content;
     }
 
+    // Browsers cannot inflate .gz / .zip files themselves; let the server prefetch decompress them
+    function isCompressedUrl(u) {
+        try {
+            return /\.(gz|zip|xz)$/i.test(new URL(u).pathname);
+        } catch {
+            return false;
+        }
+    }
+
     async function robustFetch(url, purpose, browserFirst = true) {
-        if (browserFirst) {
+        if (browserFirst && !isCompressedUrl(url)) {
             try {
                 return await fetchTextBrowser(url, purpose);
             } catch (e) {
@@ -76,6 +93,13 @@
         return await fetchTextServer(url, purpose);
     }
 
+    // Name the addon lists a playlist entry under: tvg-id / tvg-name channels are merged across
+    // quality variants and named without the quality tag
+    function groupedName(item) {
+        if (!item.attrs['tvg-id'] && !item.attrs['tvg-name']) return item.name;
+        return item.name.replace(/\b(4K|UHD|FHD|HD|SD)\b/gi, '').replace(/\s{2,}/g, ' ').trim();
+    }
+
     function parseM3U(content) {
         const start = performance.now();
         const lines = content.split('\n');
@@ -125,6 +149,35 @@
         };
     }
 
+    function parseEpgUrlList() {
+        return [...new Set(epgInput.value.split(/[\n,]/).map(u => u.trim()).filter(Boolean))];
+    }
+
+    // Fill the mapping editor's guide channel search without running the whole pre-flight
+    loadGuideBtn?.addEventListener('click', async () => {
+        const urls = parseEpgUrlList().filter(validateUrl);
+        if (!urls.length) {
+            alert('Enter at least one EPG URL first');
+            return;
+        }
+        const label = loadGuideBtn.textContent;
+        loadGuideBtn.disabled = true;
+        try {
+            for (const [i, url] of urls.entries()) {
+                loadGuideBtn.textContent = `Loading ${i + 1}/${urls.length}…`;
+                try {
+                    const xml = await robustFetch(url, `epg #${i + 1}`, true);
+                    epgMapping.addGuideChannels(epgMapping.extractGuideChannels(xml));
+                } catch (err) {
+                    console.warn('[DIRECT-CONFIG] Guide channel load failed', url, err);
+                }
+            }
+        } finally {
+            loadGuideBtn.textContent = label;
+            loadGuideBtn.disabled = false;
+        }
+    });
+
     function uuid() {
         return (crypto && crypto.randomUUID)
             ? crypto.randomUUID()
@@ -136,16 +189,29 @@
 
         const m3uUrl = m3uInput.value.trim();
         const enableEpgInitial = enableEpgChk.checked;
-        const epgUrl = epgInput.value.trim();
+        const epgUrls = parseEpgUrlList();
         const epgOffsetHours = epgOffsetInput.value ? parseFloat(epgOffsetInput.value) : 0;
         const debug = !!(debugChk && debugChk.checked);
+        const includeLive = includeLiveChk.checked;
+        const includeMovies = includeMoviesChk.checked;
+        const includeSeries = includeSeriesChk.checked;
 
         if (!validateUrl(m3uUrl)) {
             alert('Invalid M3U URL');
             return;
         }
-        if (enableEpgInitial && epgUrl && !validateUrl(epgUrl)) {
-            alert('Invalid EPG URL');
+        if (!includeLive && !includeMovies && !includeSeries) {
+            alert('Select at least one content type.');
+            return;
+        }
+        const badEpgUrl = enableEpgInitial && epgUrls.find(u => !validateUrl(u));
+        if (badEpgUrl) {
+            alert('Invalid EPG URL: ' + badEpgUrl);
+            return;
+        }
+        const { timezone, locale, error: timeZoneError } = timeZone.read();
+        if (timeZoneError) {
+            alert(timeZoneError);
             return;
         }
 
@@ -154,7 +220,9 @@
         setProgress(4, 'Starting');
         appendDetail('== PRE-FLIGHT CHECKS ==');
         appendDetail(`M3U URL: ${m3uUrl}`);
-        if (enableEpgInitial && epgUrl) appendDetail(`EPG URL: ${epgUrl}`);
+        if (enableEpgInitial) epgUrls.forEach((u, i) => appendDetail(`EPG URL #${i + 1}: ${u}`));
+        appendDetail(`Content: Live=${includeLive}, Movies=${includeMovies}, Series=${includeSeries}`);
+        appendDetail(`Time zone: ${timezone || 'server default'}${locale ? ` (${locale})` : ''}`);
         appendDetail(`Debug logging: ${debug ? 'enabled' : 'disabled'}`);
 
         let enableEpgFinal = enableEpgInitial;
@@ -173,6 +241,7 @@
             setProgress(28, 'Parsing Playlist');
             const items = parseM3U(playlistText);
             if (!items.length) throw new Error('Empty playlist after parse');
+            epgMapping.setPlaylistChannels(items.map(groupedName).filter(Boolean));
 
             // Stats
             const approxMovies = items.filter(i =>
@@ -181,27 +250,36 @@
             const approxTv = items.length - approxMovies;
             appendDetail(`Heuristic: ~${approxTv} TV / ~${approxMovies} Movie`);
 
-            // 3. Optional EPG (non-fatal)
+            // 3. Optional EPG sources (each non-fatal; failing ones are dropped)
             let epgStats = { programmes: 0, channels: 0 };
-            if (enableEpgInitial && epgUrl) {
-                let epgTxt = null;
-                setProgress(42, 'Fetching EPG');
-                try {
+            const okEpgUrls = [];
+            if (enableEpgInitial && epgUrls.length) {
+                for (const [i, epgUrl] of epgUrls.entries()) {
+                    const label = `epg #${i + 1}`;
+                    let epgTxt = null;
+                    setProgress(42 + Math.round((i / epgUrls.length) * 12), `Fetching EPG ${i + 1}/${epgUrls.length}`);
                     try {
-                        epgTxt = await robustFetch(epgUrl, 'epg', true);
-                    } catch (epgFail) {
-                        appendDetail(`⚠ EPG browser fetch failed: ${epgFail.message} → server fallback`);
-                        epgTxt = await robustFetch(epgUrl, 'epg', false);
+                        try {
+                            epgTxt = await robustFetch(epgUrl, label, true);
+                        } catch (epgFail) {
+                            appendDetail(`⚠ EPG browser fetch failed: ${epgFail.message} → server fallback`);
+                            epgTxt = await robustFetch(epgUrl, label, false);
+                        }
+                    } catch (finalEpgErr) {
+                        appendDetail(`✖ ${label} fetch failed after both attempts (${finalEpgErr.message}) – skipping this source`);
+                        continue;
                     }
-                } catch (finalEpgErr) {
-                    appendDetail(`✖ EPG fetch failed after both attempts (${finalEpgErr.message}) – continuing WITHOUT EPG`);
-                    enableEpgFinal = false;
-                }
 
-                if (enableEpgFinal && epgTxt) {
-                    setProgress(50, 'Scanning EPG');
-                    epgStats = quickEpgStats(epgTxt);
-                    appendDetail(`✔ EPG scan: ${epgStats.programmes.toLocaleString()} programmes / ${epgStats.channels.toLocaleString()} channels`);
+                    const stats = quickEpgStats(epgTxt);
+                    epgMapping.addGuideChannels(epgMapping.extractGuideChannels(epgTxt));
+                    okEpgUrls.push(epgUrl);
+                    epgStats.programmes += stats.programmes;
+                    epgStats.channels += stats.channels;
+                    appendDetail(`✔ ${label} scan: ${stats.programmes.toLocaleString()} programmes / ${stats.channels.toLocaleString()} channels`);
+                }
+                if (!okEpgUrls.length) {
+                    appendDetail('✖ No EPG source reachable – continuing WITHOUT EPG');
+                    enableEpgFinal = false;
                 }
             } else if (enableEpgInitial) {
                 appendDetail('No EPG URL supplied; continuing without EPG.');
@@ -215,11 +293,26 @@
             const config = {
                 provider: 'direct',
                 m3uUrl,
+                includeLive,
+                includeMovies,
+                includeSeries,
+                imdbMatching: ((includeMovies || includeSeries) && imdbMatchingChk.checked) || undefined,
                 enableEpg: enableEpgFinal,
+                epgSearch: (enableEpgFinal && epgSearchChk.checked) || undefined,
+                timezone,
+                locale,
                 debug: debug || undefined
             };
-            if (enableEpgFinal && epgUrl) config.epgUrl = epgUrl;
+            if (enableEpgFinal && okEpgUrls.length) {
+                config.epgUrl = okEpgUrls[0];
+                if (okEpgUrls.length > 1) config.epgUrls = okEpgUrls;
+            }
             if (isFinite(epgOffsetHours) && epgOffsetHours !== 0) config.epgOffsetHours = epgOffsetHours;
+            const epgMap = epgMapping.read();
+            if (enableEpgFinal && Object.keys(epgMap).length) {
+                config.epgMap = epgMap;
+                appendDetail(`Manual guide mappings: ${Object.keys(epgMap).length}`);
+            }
 
             config.prescan = {
                 entries: items.length,
@@ -5,6 +5,8 @@
 
 const fetch = require('node-fetch');
 const crypto = require('crypto');
+const { openBody } = require('../../../decompress');
+const { createIdAllocator, titleKey } = require('../../../itemIds');
 
 function hash(str) {
     return crypto.createHash('md5').update(str).digest('hex').slice(0, 16);
@@ -40,40 +42,44 @@ async function fetchData(addonInstance) {
 
     if (!m3uUrl) throw new Error('Direct provider requires m3uUrl');
 
-    addonInstance.channels = [];
-    addonInstance.movies = [];
-    addonInstance.series = [];
-    addonInstance.directSeriesEpisodeIndex = new Map(); // reset
-    addonInstance.epgData = {};
-
-    // Fetch playlist
-    let playlistText;
+    // Fetch playlist and stream-parse the body (never buffered as one string).
+    // The abort timer guards the connection/headers; the body may take longer to drain as long as
+    // data keeps arriving (idle timeout).
+    // Results are assigned to addonInstance only at the end, so a failed refresh keeps the old data.
+    const channels = [];
+    const movies = [];
+    const episodeItems = [];
     {
         const controller = new AbortController();
         const timeout = setTimeout(() => controller.abort(), 45000);
+        let resp;
         try {
-            const resp = await fetch(m3uUrl, {
+            resp = await fetch(m3uUrl, {
                 signal: controller.signal,
                 headers: { 'User-Agent': 'Stremio M3U/EPG Addon (directProvider)' }
             });
-            if (!resp.ok) throw new Error(`M3U fetch failed (${resp.status})`);
-            playlistText = await resp.text();
         } finally {
             clearTimeout(timeout);
         }
+        if (!resp.ok) throw new Error(`M3U fetch failed (${resp.status})`);
+        const { body, compression } = await openBody(resp, m3uUrl, { idleTimeoutMs: 45000 });
+        if (compression) addonInstance.log.debug('Playlist is compressed', compression);
+        await addonInstance.parseM3UStream(body, item => {
+            // Separate by type (already heuristically assigned by the parser)
+            // Disabled content types are dropped here so they are never held in memory
+            if (item.type === 'tv') { if (config.includeLive) channels.push(item); }
+            else if (item.type === 'movie') { if (config.includeMovies) movies.push(item); }
+            else if (item.type === 'series' && config.includeSeries) episodeItems.push(item);
+        });
     }
 
-    const items = addonInstance.parseM3U(playlistText);
-
-    // Separate by type (already heuristically assigned in parseM3U)
-    addonInstance.channels = items.filter(i => i.type === 'tv');
-    addonInstance.movies = items.filter(i => i.type === 'movie');
-
-    if (config.includeSeries !== false) {
+    let series = [];
+    const episodeIndex = new Map();
+    if (config.includeSeries) {
         // Build episode grouping from items of type 'series'
-        const episodeItems = items.filter(i => i.type === 'series');
-        const seriesMap = new Map(); // baseName -> series meta
+        const seriesMap = new Map(); // normalised title -> series meta
         const episodesMap = new Map(); // seriesId -> episodes array
+        const allocateEpisodeId = createIdAllocator();
 
         for (const ep of episodeItems) {
             const baseName = baseSeriesName(ep.name);
@@ -81,12 +87,18 @@ async function fetchData(addonInstance) {
 
             // Determine season/episode
             const se = extractSeasonEpisode(ep.name) || { season: 1, episode: 0 };
-            const seriesHash = hash(baseName);
+            // Ids hash the normalised title (no URL, so token / password changes keep them);
+            // the former ids (raw base name, episode URL) are left as legacyId for the alias table.
+            // Every spelling that folds into one title had its own series id; all of them are kept.
+            const seriesKey = titleKey(baseName) || baseName;
+            const seriesHash = hash(seriesKey);
             const seriesId = `iptv_series_${seriesHash}`;
+            const legacySeriesId = `iptv_series_${hash(baseName)}`;
 
-            if (!seriesMap.has(baseName)) {
-                seriesMap.set(baseName, {
+            if (!seriesMap.has(seriesKey)) {
+                seriesMap.set(seriesKey, {
                     id: seriesId,
+                    legacyId: [],
                     series_id: seriesHash,
                     name: baseName,
                     type: 'series',
@@ -101,11 +113,14 @@ async function fetchData(addonInstance) {
                 });
                 episodesMap.set(seriesId, []);
             }
+            const legacySeriesIds = seriesMap.get(seriesKey).legacyId;
+            if (legacySeriesId !== seriesId && !legacySeriesIds.includes(legacySeriesId)) legacySeriesIds.push(legacySeriesId);
 
-            const episodeId = `iptv_series_ep_${hash(seriesId + ep.url + se.season + '_' + se.episode)}`;
+            const episodeId = allocateEpisodeId(`iptv_series_ep_${hash(seriesId + '|' + se.season + '_' + se.episode)}`);
 
             episodesMap.get(seriesId).push({
                 id: episodeId,
+                legacyId: `iptv_series_ep_${hash(legacySeriesId + ep.url + se.season + '_' + se.episode)}`,
                 title: ep.name,
                 season: se.season,
                 episode: se.episode,
@@ -119,34 +134,27 @@ async function fetchData(addonInstance) {
         // Sort episodes in each series
         for (const [sid, eps] of episodesMap.entries()) {
             eps.sort((a, b) => (a.season - b.season) || (a.episode - b.episode));
-            addonInstance.directSeriesEpisodeIndex.set(sid.replace(/^iptv_series_/, ''), eps);
+            episodeIndex.set(sid.replace(/^iptv_series_/, ''), eps);
         }
 
-        addonInstance.series = Array.from(seriesMap.values());
+        series = Array.from(seriesMap.values());
     }
 
-    // EPG (optional)
-    if (config.enableEpg && config.epgUrl) {
-        try {
-            const controller = new AbortController();
-            const timeout = setTimeout(() => controller.abort(), 45000);
-            let epgResp;
-            try {
-                epgResp = await fetch(config.epgUrl, {
-                    signal: controller.signal,
-                    headers: { 'User-Agent': 'Stremio M3U/EPG Addon (directProvider/epg)' }
-                });
-            } finally {
-                clearTimeout(timeout);
-            }
-            if (epgResp && epgResp.ok) {
-                const epgContent = await epgResp.text();
-                addonInstance.epgData = await addonInstance.parseEPG(epgContent);
-            }
-        } catch {
-            // ignore EPG errors
-        }
-    }
+    addonInstance.channels = channels;
+    addonInstance.movies = movies;
+    addonInstance.series = series;
+    addonInstance.directSeriesEpisodeIndex = episodeIndex;
+}
+
+// EPG (optional) – every configured source, merged in priority order.
+// Refreshed on its own schedule; guide channels are matched to the current playlist channels.
+async function fetchEPG(addonInstance) {
+    const { config } = addonInstance;
+    if (!config.enableEpg || !config.includeLive || !config.epgUrls.length) return;
+    await addonInstance.loadEPGSources(config.epgUrls, {
+        channels: addonInstance.channels,
+        userAgent: 'Stremio M3U/EPG Addon (directProvider/epg)'
+    });
 }
 
 async function fetchSeriesInfo(addonInstance, seriesId) {
@@ -160,5 +168,6 @@ async function fetchSeriesInfo(addonInstance, seriesId) {
 
 module.exports = {
     fetchData,
+    fetchEPG,
     fetchSeriesInfo
 };
\ No newline at end of file
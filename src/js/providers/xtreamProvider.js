@@ -4,6 +4,8 @@
 
 const fetch = require('node-fetch');
 const crypto = require('crypto');
+const { openBody } = require('../../../decompress');
+const { titleKey } = require('../../../itemIds');
 
 async function fetchData(addonInstance) {
     const { config } = addonInstance;
@@ -19,13 +21,13 @@ async function fetchData(addonInstance) {
         throw new Error('Xtream credentials incomplete');
     }
 
-    addonInstance.channels = [];
-    addonInstance.movies = [];
-    if (config.includeSeries !== false) addonInstance.series = [];
-    addonInstance.epgData = {};
+    // Results are assigned to addonInstance only once fetched, so a failed refresh keeps the old data
+    let channels = [];
+    let movies = [];
+    let series = config.includeSeries ? null : []; // null = series lookup failed, keep previous
 
     if (xtreamUseM3U) {
-        // --- M3U MODE (unchanged) ---
+        // --- M3U MODE ---
         const url =
             `${xtreamUrl}/get.php?username=${encodeURIComponent(xtreamUsername)}` +
             `&password=${encodeURIComponent(xtreamPassword)}` +
@@ -36,21 +38,30 @@ async function fetchData(addonInstance) {
             headers: { 'User-Agent': 'Stremio M3U/EPG Addon (xtreamProvider/m3u)' }
         });
         if (!resp.ok) throw new Error('Xtream M3U fetch failed');
-        const text = await resp.text();
-        const items = addonInstance.parseM3U(text);
 
-        addonInstance.channels = items.filter(i => i.type === 'tv');
-        addonInstance.movies = items.filter(i => i.type === 'movie');
+        // Stream-parse the playlist body; m3u_plus exports can be hundreds of MB.
+        const seriesCandidates = [];
+        // node-fetch's timeout does not cover a body read by iterating it; abort stalled downloads
+        const { body } = await openBody(resp, url, { idleTimeoutMs: 45000 });
+        await addonInstance.parseM3UStream(body, item => {
+            // The export always contains every type; drop the disabled ones while parsing
+            if (item.type === 'tv') { if (config.includeLive) channels.push(item); }
+            else if (item.type === 'movie') { if (config.includeMovies) movies.push(item); }
+            else if (item.type === 'series' && config.includeSeries) seriesCandidates.push(item);
+        });
 
-        if (config.includeSeries !== false) {
-            const seriesCandidates = items.filter(i => i.type === 'series');
+        if (config.includeSeries) {
             const seen = new Map();
             for (const sc of seriesCandidates) {
                 const baseName = sc.name.replace(/\bS\d{1,2}E\d{1,2}\b.*$/i, '').trim();
-                if (!seen.has(baseName)) {
-                    seen.set(baseName, {
-                        id: `iptv_series_${cryptoHash(baseName)}`,
-                        series_id: cryptoHash(baseName),
+                // Normalised title (+ year) so spelling / quality-tag variants share one id
+                const key = titleKey(baseName) || baseName;
+                const id = `iptv_series_${cryptoHash(key)}`;
+                if (!seen.has(key)) {
+                    seen.set(key, {
+                        id,
+                        legacyId: [], // former ids of every spelling folded into this title
+                        series_id: cryptoHash(key),
                         name: baseName,
                         type: 'series',
                         poster: sc.logo || sc.attributes?.['tvg-logo'],
@@ -63,8 +74,11 @@ async function fetchData(addonInstance) {
                         }
                     });
                 }
+                const legacyId = `iptv_series_${cryptoHash(baseName)}`;
+                const legacyIds = seen.get(key).legacyId;
+                if (legacyId !== id && !legacyIds.includes(legacyId)) legacyIds.push(legacyId);
             }
-            addonInstance.series = Array.from(seen.values());
+            series = Array.from(seen.values());
         }
     } else {
         // --- JSON API MODE ---
@@ -72,18 +86,22 @@ async function fetchData(addonInstance) {
             `${xtreamUrl}/player_api.php?username=${encodeURIComponent(xtreamUsername)}` +
             `&password=${encodeURIComponent(xtreamPassword)}`;
 
-        const [liveResp, vodResp, liveCatsResp, vodCatsResp] = await Promise.all([
-            fetch(`${base}&action=get_live_streams`, { timeout: 30000 }),
-            fetch(`${base}&action=get_vod_streams`, { timeout: 30000 }),
-            fetch(`${base}&action=get_live_categories`, { timeout: 20000 }).catch(() => null),
-            fetch(`${base}&action=get_vod_categories`, { timeout: 20000 }).catch(() => null)
+        // Disabled content types are not requested at all
+        const { includeLive, includeMovies } = config;
+        const [liveResp, vodResp, liveCatsResp, vodCatsResp, accountResp] = await Promise.all([
+            includeLive ? fetch(`${base}&action=get_live_streams`, { timeout: 30000 }) : null,
+            includeMovies ? fetch(`${base}&action=get_vod_streams`, { timeout: 30000 }) : null,
+            includeLive ? fetch(`${base}&action=get_live_categories`, { timeout: 20000 }).catch(() => null) : null,
+            includeMovies ? fetch(`${base}&action=get_vod_categories`, { timeout: 20000 }).catch(() => null) : null,
+            // Account / server info: the panel timezone is needed for timeshift (catch-up) URLs
+            includeLive ? fetch(base, { timeout: 20000 }).catch(() => null) : null
         ]);
 
-        if (!liveResp.ok) throw new Error('Xtream live streams fetch failed');
-        if (!vodResp.ok) throw new Error('Xtream VOD streams fetch failed');
+        if (liveResp && !liveResp.ok) throw new Error('Xtream live streams fetch failed');
+        if (vodResp && !vodResp.ok) throw new Error('Xtream VOD streams fetch failed');
 
-        const live = await liveResp.json();
-        const vod = await vodResp.json();
+        const live = liveResp ? await liveResp.json() : [];
+        const vod = vodResp ? await vodResp.json() : [];
 
         let liveCatMap = {};
         let vodCatMap = {};
@@ -107,6 +125,10 @@ async function fetchData(addonInstance) {
                 }
             }
         } catch {}
+        let timezone;
+        try {
+            if (accountResp && accountResp.ok) timezone = (await accountResp.json())?.server_info?.timezone || undefined;
+        } catch {}
 
         // --- LIVE: QUALITY MERGE ---
         const groupMap = new Map();
@@ -136,28 +158,37 @@ async function fetchData(addonInstance) {
             groupMap.get(key).streams.push({
                 quality,
                 url: `${xtreamUrl}/live/${xtreamUsername}/${xtreamPassword}/${s.stream_id}.m3u8`,
-                stream_id: s.stream_id
+                stream_id: s.stream_id,
+                // tv_archive = 1: the panel keeps tv_archive_duration days for timeshift playback
+                archiveDays: parseInt(s.tv_archive, 10) === 1 ? parseInt(s.tv_archive_duration, 10) || 0 : 0
             });
         }
 
-        addonInstance.channels = Array.from(groupMap.values()).map(ch => {
+        channels = Array.from(groupMap.values()).map(ch => {
             ch.streams.sort(qualitySort);
             // default URL (first/best) for legacy consumers
             ch.url = ch.streams[0]?.url;
+            const archived = ch.streams.find(st => st.archiveDays > 0);
+            if (archived) ch.catchup = { type: 'xtream', days: archived.archiveDays, url: archived.url, timezone };
             return ch;
         });
 
         // --- MOVIES ---
-        addonInstance.movies = (Array.isArray(vod) ? vod : []).map(s => {
+        movies = (Array.isArray(vod) ? vod : []).map(s => {
             const cat = vodCatMap[s.category_id] || s.category_name || 'Movies';
             return {
                 id: `iptv_vod_${s.stream_id}`,
+                stream_id: s.stream_id,
                 name: s.name,
                 type: 'movie',
                 url: `${xtreamUrl}/movie/${xtreamUsername}/${xtreamPassword}/${s.stream_id}.${s.container_extension}`,
                 poster: s.stream_icon,
                 plot: s.plot,
                 year: s.releasedate ? new Date(s.releasedate).getFullYear() : null,
+                // Newer panels list TMDB ids directly (used for IMDb matching)
+                tmdb_id: s.tmdb || s.tmdb_id || undefined,
+                // Panel "added" timestamp (unix seconds) seeds firstSeen for "Recently Added"
+                added: parseInt(s.added, 10) > 0 ? parseInt(s.added, 10) * 1000 : undefined,
                 category: cat,
                 attributes: {
                     'tvg-logo': s.stream_icon,
@@ -168,7 +199,7 @@ async function fetchData(addonInstance) {
         });
 
         // --- SERIES ---
-        if (config.includeSeries !== false) {
+        if (config.includeSeries) {
             try {
                 const [seriesResp, seriesCatsResp] = await Promise.all([
                     fetch(`${base}&action=get_series`, { timeout: 35000 }),
@@ -189,7 +220,7 @@ async function fetchData(addonInstance) {
                 if (seriesResp.ok) {
                     const seriesList = await seriesResp.json();
                     if (Array.isArray(seriesList)) {
-                        addonInstance.series = seriesList.map(s => {
+                        series = seriesList.map(s => {
                             const cat = seriesCatMap[s.category_id] || s.category_name || 'Series';
                             return {
                                 id: `iptv_series_${s.series_id}`,
@@ -198,6 +229,7 @@ async function fetchData(addonInstance) {
                                 type: 'series',
                                 poster: s.cover,
                                 plot: s.plot,
+                                tmdb_id: s.tmdb || s.tmdb_id || undefined,
                                 category: cat,
                                 attributes: {
                                     'tvg-logo': s.cover,
@@ -208,24 +240,30 @@ async function fetchData(addonInstance) {
                         });
                     }
                 }
-            } catch {}
+            } catch (e) {
+                addonInstance.log.warn('Xtream series fetch failed, keeping previous series', e.message);
+            }
         }
     }
 
-    // --- EPG ---
-    if (config.enableEpg) {
-        const customEpgUrl = typeof config.epgUrl === 'string' && config.epgUrl.trim() ? config.epgUrl.trim() : null;
-        const epgSource = customEpgUrl
-            ? customEpgUrl
-            : `${xtreamUrl}/xmltv.php?username=${encodeURIComponent(xtreamUsername)}&password=${encodeURIComponent(xtreamPassword)}`;
-        try {
-            const epgResp = await fetch(epgSource, { timeout: 45000 });
-            if (epgResp.ok) {
-                const epgContent = await epgResp.text();
-                addonInstance.epgData = await addonInstance.parseEPG(epgContent);
-            }
-        } catch {}
-    }
+    addonInstance.channels = channels;
+    addonInstance.movies = movies;
+    if (series) addonInstance.series = series;
+}
+
+// --- EPG ---
+// Refreshed on its own schedule. Custom sources (priority ordered) replace the panel xmltv.php when supplied
+async function fetchEPG(addonInstance) {
+    const { config } = addonInstance;
+    if (!config.enableEpg || !config.includeLive) return;
+    const { xtreamUrl, xtreamUsername, xtreamPassword } = config;
+    const epgSources = config.epgUrls.length
+        ? config.epgUrls
+        : [`${xtreamUrl}/xmltv.php?username=${encodeURIComponent(xtreamUsername)}&password=${encodeURIComponent(xtreamPassword)}`];
+    await addonInstance.loadEPGSources(epgSources, {
+        channels: addonInstance.channels,
+        userAgent: 'Stremio M3U/EPG Addon (xtreamProvider/epg)'
+    });
 }
 
 async function fetchSeriesInfo(addonInstance, seriesId) {
@@ -244,6 +282,12 @@ async function fetchSeriesInfo(addonInstance, seriesId) {
         if (!infoResp.ok) return { videos: [] };
         const infoJson = await infoResp.json();
         const videos = [];
+        // Season covers stand in for episodes without their own still
+        const seasonPosters = {};
+        for (const season of Array.isArray(infoJson.seasons) ? infoJson.seasons : []) {
+            const cover = season?.cover_big || season?.cover;
+            if (cover) seasonPosters[parseInt(season.season_number, 10)] = cover;
+        }
         const episodesObj = infoJson.episodes || {};
         Object.keys(episodesObj).forEach(seasonKey => {
             const seasonEpisodes = episodesObj[seasonKey];
@@ -254,13 +298,17 @@ async function fetchSeriesInfo(addonInstance, seriesId) {
                     const url =
                         `${config.xtreamUrl}/series/${encodeURIComponent(config.xtreamUsername)}` +
                         `/${encodeURIComponent(config.xtreamPassword)}/${epId}.${container}`;
+                    const season = parseInt(ep.season || seasonKey, 10);
+                    const epInfo = ep.info || {};
                     videos.push({
                         id: `iptv_series_ep_${epId}`,
                         title: ep.title || `Episode ${ep.episode_num}`,
-                        season: parseInt(ep.season || seasonKey, 10),
+                        season,
                         episode: parseInt(ep.episode_num || ep.episode || 0, 10),
-                        released: ep.releasedate || ep.added || null,
-                        thumbnail: ep.info?.movie_image || ep.info?.episode_image || ep.info?.cover_big || null,
+                        released: releaseDate(epInfo.releasedate || epInfo.air_date || ep.releasedate || ep.added),
+                        thumbnail: epInfo.movie_image || epInfo.episode_image || epInfo.cover_big || seasonPosters[season] || null,
+                        overview: epInfo.plot || epInfo.overview || undefined,
+                        runtime: runtimeText(epInfo),
                         url,
                         stream_id: epId
                     });
@@ -268,17 +316,91 @@ async function fetchSeriesInfo(addonInstance, seriesId) {
             }
         });
         videos.sort((a, b) => (a.season - b.season) || (a.episode - b.episode));
-        return { videos, fetchedAt: Date.now() };
+        const details = infoJson.info && typeof infoJson.info === 'object' && !Array.isArray(infoJson.info)
+            ? infoDetails(infoJson.info)
+            : undefined;
+        return { videos, details, fetchedAt: Date.now() };
     } catch {
         return { videos: [] };
     }
 }
 
+// get_vod_info for one movie, normalised (see infoDetails); null when the panel has nothing
+async function fetchVodInfo(addonInstance, streamId) {
+    const { config } = addonInstance;
+    if (!streamId || !config?.xtreamUrl || !config?.xtreamUsername || !config?.xtreamPassword) return null;
+    const base =
+        `${config.xtreamUrl}/player_api.php?username=${encodeURIComponent(config.xtreamUsername)}` +
+        `&password=${encodeURIComponent(config.xtreamPassword)}`;
+    const resp = await fetch(`${base}&action=get_vod_info&vod_id=${encodeURIComponent(streamId)}`, { timeout: 20000 });
+    if (!resp.ok) return null;
+    const json = await resp.json();
+    if (!json || typeof json.info !== 'object' || Array.isArray(json.info)) return null;
+    return { ...infoDetails(json.info), fetchedAt: Date.now() };
+}
+
 // --- helpers ---
 function cryptoHash(text) {
     return crypto.createHash('md5').update(String(text)).digest('hex').slice(0, 12);
 }
 
+// Panel "info" blocks (get_vod_info / get_series_info) use loosely typed, panel-specific fields;
+// reduce them to what Stremio metas show. Missing values are left undefined.
+function infoDetails(info = {}) {
+    const rating = parseFloat(info.rating);
+    return {
+        plot: info.plot || info.description || undefined,
+        poster: info.cover_big || info.movie_image || info.cover || undefined,
+        background: firstString(info.backdrop_path),
+        cast: splitList(info.cast || info.actors),
+        director: splitList(info.director),
+        genres: splitList(info.genre),
+        runtime: runtimeText(info),
+        rating: rating > 0 ? rating.toFixed(1) : undefined,
+        released: info.releasedate || info.releaseDate || info.release_date || undefined,
+        trailer: youtubeId(info.youtube_trailer),
+        imdbId: info.imdb_id || info.imdb || undefined,
+        tmdbId: info.tmdb_id || info.tmdb || undefined
+    };
+}
+
+function splitList(value) {
+    const list = (Array.isArray(value) ? value : String(value || '').split(/\s*[,/|]\s*/))
+        .map(v => String(v).trim())
+        .filter(Boolean);
+    return list.length ? list : undefined;
+}
+
+function firstString(value) {
+    const v = Array.isArray(value) ? value.find(Boolean) : value;
+    return typeof v === 'string' && v.trim() ? v.trim() : undefined;
+}
+
+// duration_secs, "01:56:00" or episode_run_time (minutes) -> "116 min"
+function runtimeText(info) {
+    let minutes = parseInt(info.duration_secs, 10) / 60;
+    if (!(minutes > 0) && typeof info.duration === 'string') {
+        const [h, m] = info.duration.split(':').map(n => parseInt(n, 10));
+        minutes = (h || 0) * 60 + (m || 0);
+    }
+    if (!(minutes > 0)) minutes = parseInt(info.episode_run_time, 10);
+    return minutes > 0 ? `${Math.round(minutes)} min` : undefined;
+}
+
+// "2019-05-01" or an "added" unix timestamp -> ISO date; null when unusable
+function releaseDate(value) {
+    if (!value) return null;
+    const date = /^\d{9,}$/.test(String(value)) ? new Date(parseInt(value, 10) * 1000) : new Date(value);
+    return isNaN(date) ? null : date.toISOString();
+}
+
+// Panels store either the bare video id or a full YouTube URL
+function youtubeId(value) {
+    const str = String(value || '').trim();
+    const m = str.match(/(?:v=|youtu\.be\/|embed\/)([\w-]{11})/) || str.match(/^([\w-]{11})$/);
+    return m ? m[1] : undefined;
+}
+
 function cleanName(name = '') {
     return name
         .replace(/\b(4K|UHD|FHD|FULL\s*HD|1080P|HD|720P|SD)\b/ig, '')
@@ -301,5 +423,7 @@ function qualitySort(a, b) {
 
 module.exports = {
     fetchData,
-    fetchSeriesInfo
+    fetchEPG,
+    fetchSeriesInfo,
+    fetchVodInfo
 };
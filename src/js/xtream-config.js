@@ -16,12 +16,15 @@
     const includeLiveChk = $('includeLive');
     const includeMoviesChk = $('includeMovies');
     const includeSeriesChk = $('includeSeries');
+    const imdbMatchingChk = $('imdbMatching');
 
     const enableEpgChk = $('enableEpg');
+    const epgSearchChk = $('epgSearch');
     const epgOffsetInput = $('epgOffsetHours');
     const debugChk = $('debugMode');
     const customEpgGroup = $('customEpgGroup');
     const customEpgUrlInp = $('customEpgUrl');
+    const loadGuideBtn = $('loadGuideChannels');
 
     const epgModeRadios = () =>
         [...document.querySelectorAll('input[name="epgMode"]')];
@@ -35,7 +38,9 @@
         setProgress,
         overlaySetMessage,
         forceDisableActions,
-        prefillIfReconfigure
+        prefillIfReconfigure,
+        epgMapping,
+        timeZone
     } = window.ConfigureCommon || {};
 
     if (!window.ConfigureCommon) return;
@@ -88,7 +93,7 @@
         return t;
     }
 
-    async function fetchServer(url, label) {
+    async function fetchServer(url, label, allowTruncated = false) {
         appendDetail(`→ (Server) Prefetch ${label}: ${url}`);
         const r = await fetch('/api/prefetch', {
             method: 'POST',
@@ -103,21 +108,58 @@
             `✔ (Server) ${label} ${j.bytes.toLocaleString()} bytes` +
             (j.truncated ? ' (truncated)' : '')
         );
-        if (j.truncated) {
+        if (j.truncated && !allowTruncated) {
             throw new Error('Prefetch truncated');
         }
         return j.content;
     }
 
-    async function robustFetch(url, label) {
+    async function robustFetch(url, label, allowTruncated = false) {
         try {
             return await fetchBrowser(url, label);
         } catch {
             appendDetail(`⚠ Browser fetch failed → server fallback`);
-            return await fetchServer(url, label);
+            return await fetchServer(url, label, allowTruncated);
         }
     }
 
+    function parseCustomEpgUrls() {
+        return [...new Set(customEpgUrlInp.value.split(/[\n,]/).map(u => u.trim()).filter(Boolean))];
+    }
+
+    // Load guide channels (panel xmltv.php or custom feeds) for the mapping editor's search.
+    // Channel declarations sit at the top of XMLTV files, so a truncated prefetch is fine here.
+    loadGuideBtn?.addEventListener('click', async () => {
+        const baseUrl = normalizedBaseUrl(xtreamUrlInput.value);
+        const username = userInput.value.trim();
+        const password = pwdInput.value;
+        const urls = selectedEpgMode() === 'custom'
+            ? parseCustomEpgUrls().filter(validateUrl)
+            : (validateUrl(baseUrl) && username && password
+                ? [`${baseUrl}/xmltv.php?username=${encodeURIComponent(username)}&password=${encodeURIComponent(password)}`]
+                : []);
+        if (!urls.length) {
+            alert('Enter Xtream credentials or custom EPG URLs first');
+            return;
+        }
+        const label = loadGuideBtn.textContent;
+        loadGuideBtn.disabled = true;
+        try {
+            for (const [i, url] of urls.entries()) {
+                loadGuideBtn.textContent = `Loading ${i + 1}/${urls.length}…`;
+                try {
+                    const xml = await robustFetch(url, `epg #${i + 1}`, true);
+                    epgMapping.addGuideChannels(epgMapping.extractGuideChannels(xml));
+                } catch (err) {
+                    console.warn('[XTREAM-CONFIG] Guide channel load failed', err);
+                }
+            }
+        } finally {
+            loadGuideBtn.textContent = label;
+            loadGuideBtn.disabled = false;
+        }
+    });
+
     function uuid() {
         return crypto.randomUUID
             ? crypto.randomUUID()
@@ -145,12 +187,30 @@
             return;
         }
 
+        const enableEpg = enableEpgChk.checked;
+        const epgOffsetHours = epgOffsetInput.value ? parseFloat(epgOffsetInput.value) : 0;
+        const customEpgUrls = enableEpg && selectedEpgMode() === 'custom'
+            ? parseCustomEpgUrls()
+            : [];
+        const badEpgUrl = customEpgUrls.find(u => !validateUrl(u));
+        if (badEpgUrl) {
+            alert('Invalid EPG URL: ' + badEpgUrl);
+            return;
+        }
+        const { timezone, locale, error: timeZoneError } = timeZone.read();
+        if (timeZoneError) {
+            alert(timeZoneError);
+            return;
+        }
+
         showOverlay(true);
         forceDisableActions?.();
 
         appendDetail('== PRE-FLIGHT (XTREAM) ==');
         appendDetail(`Base URL: ${baseUrl}`);
         appendDetail(`Content: Live=${includeLive}, Movies=${includeMovies}, Series=${includeSeries}`);
+        appendDetail(`EPG: ${!enableEpg ? 'disabled' : customEpgUrls.length ? `${customEpgUrls.length} custom source(s)` : 'panel xmltv.php'}`);
+        appendDetail(`Time zone: ${timezone || 'server default'}${locale ? ` (${locale})` : ''}`);
 
         const base =
             `${baseUrl}/player_api.php?username=${encodeURIComponent(username)}&password=${encodeURIComponent(password)}`;
@@ -169,6 +229,11 @@
                 );
                 const arr = JSON.parse(txt);
                 liveCount = Array.isArray(arr) ? arr.length : 0;
+                // Suggest the merged channel names (quality tags dropped, as the addon lists them)
+                if (liveCount) epgMapping.setPlaylistChannels(arr.map(s => (s.name || '')
+                    .replace(/\b(4K|UHD|FHD|FULL\s*HD|1080P|HD|720P|SD)\b/ig, '')
+                    .replace(/\s{2,}/g, ' ')
+                    .trim()).filter(Boolean));
                 appendDetail(`✔ Live streams: ${liveCount.toLocaleString()}`);
             } else {
                 appendDetail('⏭ Live streams skipped');
@@ -211,19 +276,29 @@ if (includeMovies) {
                 xtreamUrl: baseUrl,
                 xtreamUsername: username,
                 xtreamPassword: password,
-                content: {
-                    live: includeLive,
-                    movies: includeMovies,
-                    series: includeSeries
-                },
+                includeLive,
+                includeMovies,
+                includeSeries,
+                imdbMatching: ((includeMovies || includeSeries) && imdbMatchingChk.checked) || undefined,
                 prescan: {
                     liveCount,
                     vodCount,
                     seriesCount
                 },
+                enableEpg,
+                epgSearch: (enableEpg && epgSearchChk.checked) || undefined,
+                timezone,
+                locale,
                 instanceId: uuid(),
                 debug: debugChk.checked || undefined
             };
+            if (customEpgUrls.length) {
+                config.epgUrl = customEpgUrls[0];
+                if (customEpgUrls.length > 1) config.epgUrls = customEpgUrls;
+            }
+            if (isFinite(epgOffsetHours) && epgOffsetHours !== 0) config.epgOffsetHours = epgOffsetHours;
+            const epgMap = epgMapping.read();
+            if (enableEpg && Object.keys(epgMap).length) config.epgMap = epgMap;
 
             const { manifestUrl, stremioUrl } = buildUrls(config);
 
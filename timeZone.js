@@ -0,0 +1,51 @@
+// Time zone / locale helpers for programme times. Instants are formatted through Intl with an IANA
+// zone, so XMLTV "+hhmm" offsets and DST transitions resolve to the viewer's wall clock.
+
+const formatters = new Map(); // timeZone -> Intl.DateTimeFormat
+
+function isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+function isValidLocale(locale) {
+    if (!locale || typeof locale !== 'string') return false;
+    try {
+        return Intl.DateTimeFormat.supportedLocalesOf([locale]).length > 0;
+    } catch {
+        return false;
+    }
+}
+
+// Epoch ms -> { year, month, day, hour, minute } (zero-padded strings) in timeZone; UTC when unset or invalid
+function zonedParts(ms, timeZone) {
+    const zone = isValidTimeZone(timeZone) ? timeZone : 'UTC';
+    if (!formatters.has(zone)) {
+        formatters.set(zone, new Intl.DateTimeFormat('en-GB', {
+            timeZone: zone,
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+        }));
+    }
+    const parts = {};
+    for (const { type, value } of formatters.get(zone).formatToParts(new Date(ms))) parts[type] = value;
+    return parts;
+}
+
+// Calendar day of an instant in timeZone as a number: 2024-03-31 -> 20240331
+function dayNumber(ms, timeZone) {
+    const p = zonedParts(ms, timeZone);
+    return parseInt(`${p.year}${p.month}${p.day}`, 10);
+}
+
+module.exports = {
+    dayNumber,
+    isValidLocale,
+    isValidTimeZone,
+    zonedParts
+};